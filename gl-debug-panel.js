@@ -0,0 +1,289 @@
+/**
+ * Debug Panel for the Scroll Distortion Effect
+ * Overlay for tuning a live instance: shows slide/transition state, texture loading and render FPS,
+ * drives setIntensity/setTransitionSpeed and the displacement assignment, and exports the
+ * tuned values as a config snippet to paste back into the embed.
+ *
+ * Opened by WebflowGLController with debug: true (data-gl-debug) or ?gldebug in the URL.
+ */
+
+class GLDebugPanel {
+    constructor(options) {
+        this.config = {
+            // WebflowGLController to navigate through, or a ScrollDistortionEffect used on its own
+            controller: options.controller || null,
+            engine: options.engine || null,
+            element: options.element || document.body, // Element the panel is appended to
+            classPrefix: options.classPrefix || 'gl-debug',
+            maxIntensity: options.maxIntensity || 2,
+            maxTransitionSpeed: options.maxTransitionSpeed || 5
+        };
+
+        this.target = this.config.controller || this.config.engine;
+        if (!this.target || !this.getEngine()) {
+            console.error('GLDebugPanel: a controller with a running engine (or an engine) is required');
+            return;
+        }
+
+        // Times of the engine's frames over the last second (the engine only draws on demand,
+        // so this reads 0 at rest)
+        this.frameTimes = [];
+
+        this.render();
+        this.bindEvents();
+        this.refreshStatus();
+    }
+
+    getEngine() {
+        return this.config.controller ? this.config.controller.engine : this.config.engine;
+    }
+
+    render() {
+        const prefix = this.config.classPrefix;
+        const engine = this.getEngine();
+
+        this.root = document.createElement('div');
+        this.root.className = prefix;
+        this.root.style.cssText = 'position:fixed;top:8px;right:8px;z-index:2147483647;width:260px;' +
+            'padding:10px;background:rgba(0,0,0,0.85);color:#fff;font:12px/1.5 monospace;border-radius:4px';
+
+        this.status = document.createElement('pre');
+        this.status.className = `${prefix}__status`;
+        this.status.style.cssText = 'margin:0 0 8px;white-space:pre-wrap;font:inherit';
+        this.root.appendChild(this.status);
+
+        this.intensityInput = this.addSlider('Intensity', 0, this.config.maxIntensity, 0.01,
+            engine.config.intensity, value => this.getEngine().setIntensity(value));
+        this.speedInput = this.addSlider('Transition speed (s)', 0.1, this.config.maxTransitionSpeed, 0.05,
+            engine.config.transitionSpeed, value => this.getEngine().setTransitionSpeed(value));
+
+        // Displacement map for the slide currently shown
+        const mapLabel = document.createElement('label');
+        mapLabel.textContent = 'Displacement map (this slide)';
+        mapLabel.style.display = 'block';
+        this.mapSelect = document.createElement('select');
+        this.mapSelect.className = `${prefix}__map`;
+        this.mapSelect.style.cssText = 'display:block;width:100%';
+        engine.config.displacementImages.forEach((url, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = `${index}: ${url.split('/').pop()}`;
+            this.mapSelect.appendChild(option);
+        });
+        this.mapSelect.addEventListener('change', () => this.assignDisplacement(parseInt(this.mapSelect.value, 10)));
+        mapLabel.appendChild(this.mapSelect);
+        this.root.appendChild(mapLabel);
+
+        // Manual transitions
+        const buttons = document.createElement('div');
+        buttons.style.margin = '8px 0';
+        this.addButton(buttons, 'Prev', () => this.step(-1));
+        this.addButton(buttons, 'Next', () => this.step(1));
+        this.slideSelect = document.createElement('select');
+        this.slideSelect.className = `${prefix}__slide`;
+        engine.config.images.forEach((_, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = `Slide ${index + 1}`;
+            this.slideSelect.appendChild(option);
+        });
+        this.slideSelect.addEventListener('change', () => this.goTo(parseInt(this.slideSelect.value, 10)));
+        buttons.appendChild(this.slideSelect);
+        this.root.appendChild(buttons);
+
+        this.addButton(this.root, 'Export config', () => this.showExport());
+        this.exportOutput = document.createElement('textarea');
+        this.exportOutput.className = `${prefix}__export`;
+        this.exportOutput.readOnly = true;
+        this.exportOutput.rows = 7;
+        this.exportOutput.style.cssText = 'display:none;width:100%;margin-top:8px;font:11px monospace';
+        this.root.appendChild(this.exportOutput);
+
+        this.config.element.appendChild(this.root);
+        this.syncControls();
+    }
+
+    addSlider(labelText, min, max, step, value, onInput) {
+        const label = document.createElement('label');
+        label.style.display = 'block';
+        const caption = document.createElement('span');
+        label.appendChild(caption);
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = String(min);
+        input.max = String(max);
+        input.step = String(step);
+        input.value = String(value);
+        input.style.cssText = 'display:block;width:100%';
+
+        const updateCaption = () => {
+            caption.textContent = `${labelText}: ${input.value}`;
+        };
+        input.addEventListener('input', () => {
+            onInput(parseFloat(input.value));
+            updateCaption();
+        });
+        updateCaption();
+
+        label.appendChild(input);
+        this.root.appendChild(label);
+        return input;
+    }
+
+    addButton(parent, text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.style.marginRight = '4px';
+        button.addEventListener('click', onClick);
+        parent.appendChild(button);
+        return button;
+    }
+
+    bindEvents() {
+        this.handleTransitionEnd = () => this.syncControls();
+        this.target.on('transitionend', this.handleTransitionEnd);
+
+        this.handleRender = (detail) => this.frameTimes.push(detail.time);
+        this.engine = this.getEngine();
+        this.engine.on('render', this.handleRender);
+    }
+
+    // Navigate through the controller so state, URL and content sections follow
+    goTo(index) {
+        if (this.config.controller) {
+            return this.config.controller.goTo(index);
+        }
+        return this.config.engine.transitionTo(index);
+    }
+
+    step(direction) {
+        if (this.config.controller) {
+            return this.config.controller.step(direction);
+        }
+        return direction > 0 ? this.config.engine.transitionToNext() : this.config.engine.transitionToPrevious();
+    }
+
+    // Per-slide map indices as the engine resolves them now (ranges and functions flattened)
+    getDisplacementAssignment() {
+        const engine = this.getEngine();
+        return engine.config.images.map((_, index) => engine.getDisplacementIndex(index));
+    }
+
+    // Point the current slide at another displacement map
+    assignDisplacement(mapIndex) {
+        const engine = this.getEngine();
+        const mapping = this.getDisplacementAssignment();
+        mapping[engine.getCurrentIndex()] = mapIndex;
+        engine.setDisplacementMapping(mapping);
+    }
+
+    // Show the slide and map in use in the pickers
+    syncControls() {
+        const engine = this.getEngine();
+        if (!engine) {
+            return;
+        }
+        const index = engine.getCurrentIndex();
+        this.slideSelect.value = String(index);
+        this.mapSelect.value = String(engine.getDisplacementIndex(index));
+    }
+
+    // Tuned values as a controller config object and as data-gl attributes
+    getConfigSnippet() {
+        const engine = this.getEngine();
+        const mapping = this.getDisplacementAssignment();
+        const intensity = engine.config.intensity;
+        const transitionSpeed = engine.config.transitionSpeed;
+
+        return [
+            '{',
+            `    intensity: ${intensity},`,
+            `    transitionSpeed: ${transitionSpeed},`,
+            `    displacementMapping: ${JSON.stringify(mapping)}`,
+            '}',
+            '',
+            `data-gl-intensity="${intensity}" data-gl-transition-speed="${transitionSpeed}" ` +
+                `data-gl-displacement-mapping="${JSON.stringify(mapping)}"`
+        ].join('\n');
+    }
+
+    showExport() {
+        const snippet = this.getConfigSnippet();
+        this.exportOutput.value = snippet;
+        this.exportOutput.style.display = 'block';
+        this.exportOutput.select();
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(snippet).catch(() => {});
+        }
+        return snippet;
+    }
+
+    getStatusText() {
+        const engine = this.getEngine();
+        if (!engine) {
+            return 'Engine destroyed';
+        }
+
+        const total = engine.config.images.length;
+        const textures = engine.textures || [];
+        const failedTextures = engine.failedTextures || [];
+        let loaded = 0;
+        let failed = 0;
+        for (let index = 0; index < total; index++) {
+            if (textures[index]) {
+                loaded++;
+            } else if (failedTextures[index]) {
+                failed++;
+            }
+        }
+        const progress = engine.config.progressMode === 'scrub'
+            ? engine.progress
+            : (engine.uniforms ? engine.uniforms.progress.value : 0);
+
+        return [
+            `Slide:      ${engine.getCurrentIndex() + 1} / ${total}`,
+            `Target:     ${engine.getDestinationIndex() + 1}${engine.isInTransition() ? ' (transitioning)' : ''}`,
+            `Progress:   ${progress.toFixed(3)}`,
+            `Textures:   ${loaded} loaded, ${failed} failed, ${total - loaded - failed} pending`,
+            `Renderer:   ${engine.isUsingFallback() ? '2D fallback' : 'WebGL'}${engine.isContextLost ? ' (context lost)' : ''}`,
+            `Render FPS: ${this.getFps()}`
+        ].join('\n');
+    }
+
+    // Engine frames drawn during the last second
+    getFps() {
+        const since = Date.now() - 1000;
+        this.frameTimes = this.frameTimes.filter(time => time > since);
+        return this.frameTimes.length;
+    }
+
+    // Refresh the status twice a second (a timer, so the panel doesn't keep a frame loop running)
+    refreshStatus() {
+        this.status.textContent = this.getStatusText();
+        this.statusTimer = setTimeout(() => this.refreshStatus(), 500);
+    }
+
+    destroy() {
+        if (!this.root) {
+            return;
+        }
+        clearTimeout(this.statusTimer);
+        this.target.off('transitionend', this.handleTransitionEnd);
+        this.engine.off('render', this.handleRender);
+        this.root.remove();
+        this.root = null;
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GLDebugPanel;
+}
+
+// Browser global for Webflow usage
+if (typeof window !== 'undefined') {
+    window.GLDebugPanel = GLDebugPanel;
+}
@@ -0,0 +1,201 @@
+/**
+ * Navigation UI for the Scroll Distortion Effect
+ * Renders pagination dots, a "3 / 11" counter and a progress bar into an element
+ * and keeps them in sync with a WebflowGLController (or a bare ScrollDistortionEffect)
+ */
+
+class GLNavigationUI {
+    constructor(options) {
+        this.config = {
+            // WebflowGLController to navigate through (keeps content sections in sync),
+            // or a ScrollDistortionEffect when used without the controller
+            controller: options.controller || null,
+            engine: options.engine || null,
+            element: options.element || null, // Element the UI is rendered into
+            dots: options.dots !== false,
+            counter: options.counter !== false,
+            progress: options.progress !== false,
+            classPrefix: options.classPrefix || 'gl-nav',
+            label: options.label || 'Slides',
+            dotLabel: options.dotLabel || ((index, total) => `Go to slide ${index + 1} of ${total}`),
+            counterFormat: options.counterFormat || ((current, total) => `${current} / ${total}`)
+        };
+
+        this.target = this.config.controller || this.config.engine;
+        if (!this.target || !this.config.element) {
+            console.error('GLNavigationUI: a controller (or engine) and an element are required');
+            return;
+        }
+
+        this.dots = [];
+        this.activeIndex = this.getCurrentIndex();
+        this.render();
+        this.bindEvents();
+        this.update(this.activeIndex, this.activeIndex, 0);
+    }
+
+    getEngine() {
+        return this.config.controller ? this.config.controller.engine : this.config.engine;
+    }
+
+    getSlideCount() {
+        return this.config.controller
+            ? this.config.controller.config.imageUrls.length
+            : this.config.engine.config.images.length;
+    }
+
+    // The engine's current slide, or the controller's state before the engine exists
+    getCurrentIndex() {
+        const engine = this.getEngine();
+        if (engine) {
+            return engine.getCurrentIndex();
+        }
+        return this.config.controller ? this.config.controller.currentState || 0 : 0;
+    }
+
+    render() {
+        const prefix = this.config.classPrefix;
+        const total = this.getSlideCount();
+
+        this.root = document.createElement('nav');
+        this.root.className = prefix;
+        this.root.setAttribute('aria-label', this.config.label);
+
+        if (this.config.dots) {
+            this.dotList = document.createElement('div');
+            this.dotList.className = `${prefix}__dots`;
+            for (let index = 0; index < total; index++) {
+                const dot = document.createElement('button');
+                dot.type = 'button';
+                dot.className = `${prefix}__dot`;
+                dot.setAttribute('aria-label', this.config.dotLabel(index, total));
+                dot.addEventListener('click', () => this.goTo(index));
+                this.dotList.appendChild(dot);
+                this.dots.push(dot);
+            }
+            // Arrow keys move between dots; only the active dot is in the tab order
+            this.dotList.addEventListener('keydown', (e) => this.handleDotKeydown(e));
+            this.root.appendChild(this.dotList);
+        }
+
+        if (this.config.counter) {
+            this.counter = document.createElement('span');
+            this.counter.className = `${prefix}__counter`;
+            this.root.appendChild(this.counter);
+        }
+
+        if (this.config.progress) {
+            this.progressBar = document.createElement('div');
+            this.progressBar.className = `${prefix}__progress`;
+            this.progressBar.setAttribute('role', 'progressbar');
+            this.progressBar.setAttribute('aria-label', `${this.config.label} progress`);
+            this.progressBar.setAttribute('aria-valuemin', '1');
+            this.progressBar.setAttribute('aria-valuemax', String(total));
+            this.progressFill = document.createElement('div');
+            this.progressFill.className = `${prefix}__progress-fill`;
+            this.progressFill.style.transformOrigin = 'left center';
+            this.progressBar.appendChild(this.progressFill);
+            this.root.appendChild(this.progressBar);
+        }
+
+        this.config.element.appendChild(this.root);
+    }
+
+    bindEvents() {
+        this.handleTransitionStart = (detail) => this.update(detail.from, detail.to, 0);
+        this.handleTransitionProgress = (detail) => this.update(detail.from, detail.to, detail.progress, detail.position);
+        this.handleTransitionEnd = () => {
+            const index = this.getCurrentIndex();
+            this.update(index, index, 0);
+        };
+
+        this.target.on('transitionstart', this.handleTransitionStart);
+        this.target.on('transitionprogress', this.handleTransitionProgress);
+        this.target.on('transitionend', this.handleTransitionEnd);
+    }
+
+    // Navigate through the controller so state, URL and content sections follow;
+    // focus stays on the dots so keyboard users can keep moving between them
+    goTo(index) {
+        if (this.config.controller) {
+            return this.config.controller.goTo(index, { moveFocus: false });
+        }
+        return this.config.engine.transitionTo(index);
+    }
+
+    handleDotKeydown(e) {
+        const focusedIndex = this.dots.indexOf(document.activeElement);
+        if (focusedIndex === -1) {
+            return;
+        }
+
+        const keyTargets = {
+            ArrowRight: focusedIndex + 1,
+            ArrowDown: focusedIndex + 1,
+            ArrowLeft: focusedIndex - 1,
+            ArrowUp: focusedIndex - 1,
+            Home: 0,
+            End: this.dots.length - 1
+        };
+        if (keyTargets[e.key] === undefined) {
+            return;
+        }
+
+        e.preventDefault();
+        const nextIndex = Math.max(0, Math.min(keyTargets[e.key], this.dots.length - 1));
+        this.dots[nextIndex].focus();
+    }
+
+    // Reflect a transition from one slide to another at the given progress (0 when at rest).
+    // Dots and counter switch to the target as soon as it starts; the bar follows the blend
+    // (or position, the deck position scrubs report).
+    update(fromIndex, toIndex, progress, position) {
+        const total = this.getSlideCount();
+        this.activeIndex = toIndex;
+
+        this.dots.forEach((dot, index) => {
+            const isActive = index === toIndex;
+            dot.classList.toggle('is-active', isActive);
+            dot.tabIndex = isActive ? 0 : -1;
+            if (isActive) {
+                dot.setAttribute('aria-current', 'true');
+            } else {
+                dot.removeAttribute('aria-current');
+            }
+        });
+
+        if (this.counter) {
+            this.counter.textContent = this.config.counterFormat(toIndex + 1, total);
+        }
+
+        if (this.progressFill) {
+            const deckPosition = position !== undefined ? position : fromIndex + (toIndex - fromIndex) * progress;
+            const fraction = total > 1 ? deckPosition / (total - 1) : 1;
+            this.progressFill.style.transform = `scaleX(${fraction})`;
+            this.progressBar.setAttribute('aria-valuenow', String(toIndex + 1));
+            this.progressBar.setAttribute('aria-valuetext', this.config.counterFormat(toIndex + 1, total));
+        }
+    }
+
+    destroy() {
+        if (!this.root) {
+            return;
+        }
+        this.target.off('transitionstart', this.handleTransitionStart);
+        this.target.off('transitionprogress', this.handleTransitionProgress);
+        this.target.off('transitionend', this.handleTransitionEnd);
+        this.root.remove();
+        this.root = null;
+        this.dots = [];
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GLNavigationUI;
+}
+
+// Browser global for Webflow usage
+if (typeof window !== 'undefined') {
+    window.GLNavigationUI = GLNavigationUI;
+}
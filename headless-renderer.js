@@ -0,0 +1,97 @@
+/**
+ * Headless Renderer for the Scroll Distortion Effect
+ * Stand-in for THREE.WebGLRenderer that draws nothing and records what each
+ * render() call would have shown. Use it to run the engine and controller
+ * under Node/jsdom:
+ *
+ *   new ScrollDistortionEffect({ three, rendererFactory: HeadlessRenderer.factory(), ... })
+ */
+
+class HeadlessRenderer {
+    constructor(options = {}) {
+        this.config = {
+            record: options.record !== false, // false makes it a plain no-op renderer
+            maxFrames: options.maxFrames || 1000 // Oldest frames are dropped beyond this
+        };
+
+        this.domElement = options.canvas || document.createElement('canvas');
+        this.pixelRatio = 1;
+        this.width = 0;
+        this.height = 0;
+        this.clearColor = null;
+        this.renderCount = 0;
+        this.frames = [];
+        this.isDisposed = false;
+    }
+
+    // Factory for the engine's rendererFactory option
+    static factory(options) {
+        return () => new HeadlessRenderer(options);
+    }
+
+    setPixelRatio(ratio) {
+        this.pixelRatio = ratio;
+    }
+
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    setClearColor(color, alpha) {
+        this.clearColor = { color, alpha };
+    }
+
+    // Record the effect mesh's material and a snapshot of its uniforms
+    render(scene, camera) {
+        this.renderCount++;
+        if (!this.config.record) {
+            return;
+        }
+
+        const mesh = scene.children.find(child => child.material && child.material.uniforms);
+        const uniforms = {};
+        if (mesh) {
+            Object.keys(mesh.material.uniforms).forEach(name => {
+                const value = mesh.material.uniforms[name].value;
+                // Textures are kept by reference, vectors and colours copied
+                const isCopyable = value && typeof value.clone === 'function' && !value.isTexture;
+                uniforms[name] = isCopyable ? value.clone() : value;
+            });
+        }
+
+        this.frames.push({
+            time: Date.now(),
+            camera,
+            material: mesh ? mesh.material : null,
+            uniforms
+        });
+        if (this.frames.length > this.config.maxFrames) {
+            this.frames.shift();
+        }
+    }
+
+    getLastFrame() {
+        return this.frames[this.frames.length - 1] || null;
+    }
+
+    // Forget recorded frames (e.g. between test steps)
+    clear() {
+        this.frames = [];
+        this.renderCount = 0;
+    }
+
+    dispose() {
+        this.isDisposed = true;
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HeadlessRenderer;
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+    window.HeadlessRenderer = HeadlessRenderer;
+}
@@ -1,33 +1,215 @@
 /**
  * Scroll Distortion Effect (No-Loop Variant)
- * Identical to scroll-distortion.js but WITHOUT infinite looping.
- * Next/previous transitions stop at the first/last image.
+ * Next/previous transitions stop at the first/last image by default;
+ * with the `loop` option they wrap around like scroll-distortion.js.
  */
 
+// Legacy 11-slide assignment, kept as the default mapping:
+// states 1-3 -> map 0, states 4-7 -> map 1, states 8-11 -> map 2
+const DEFAULT_DISPLACEMENT_RULES = [
+    { from: 0, to: 2, map: 0 },
+    { from: 3, to: 6, map: 1 },
+    { from: 7, to: 10, map: 2 }
+];
+
+// Slide URLs with these extensions are loaded as video textures
+const VIDEO_SOURCE_PATTERN = /\.(mp4|webm|ogv|mov|m4v)(\?|#|$)/i;
+
+// Seconds the 'retarget' policy takes to finish (or rewind) the running blend before heading on
+const RETARGET_SETTLE_DURATION = 0.2;
+
+// Named easing curves for config.easing / transitionTo options.easing;
+// the CSS keywords match their cubic-bezier() definitions
+const EASING_PRESETS = {
+    linear: t => t,
+    easeIn: t => t * t * t,
+    easeOut: t => 1 - Math.pow(1 - t, 3),
+    easeInOut: t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    ease: 'cubic-bezier(0.25, 0.1, 0.25, 1)',
+    'ease-in': 'cubic-bezier(0.42, 0, 1, 1)',
+    'ease-out': 'cubic-bezier(0, 0, 0.58, 1)',
+    'ease-in-out': 'cubic-bezier(0.42, 0, 0.58, 1)'
+};
+
+// Slide fit modes as passed to the shader's fit1/fit2 uniforms
+const FIT_MODES = { cover: 0, contain: 1, fill: 2 };
+
+// Shared fragment shader prelude for all transition effects: uniforms plus
+// fitted samplers for the "from" (texture1) and "to" (texture2) slides
+const EFFECT_SHADER_HEADER = `
+    varying vec2 vUv;
+    uniform sampler2D texture1;
+    uniform sampler2D texture2;
+    uniform sampler2D displacement;
+    uniform float progress;
+    uniform float intensity;
+    uniform vec2 resolution;
+    uniform vec2 texRes1;
+    uniform vec2 texRes2;
+    uniform vec2 focal1;
+    uniform vec2 focal2;
+    uniform float fit1;
+    uniform float fit2;
+    uniform vec3 letterbox;
+
+    // Like object-fit/object-position: fit 0 = cover, 1 = contain, 2 = fill,
+    // with the crop (or the letterboxed image) anchored at the focal point
+    vec2 fitUV(vec2 uv, vec2 texRes, vec2 focal, float fit) {
+        // Clamp incoming (possibly distorted) UVs to prevent edge artifacts
+        vec2 fitUv = clamp(uv, 0.0, 1.0);
+        if (fit > 1.5) {
+            return fitUv;
+        }
+
+        // Fraction of the texture shown along each axis (above 1 when letterboxed)
+        float containerAspect = resolution.x / resolution.y;
+        float texAspect = texRes.x / texRes.y;
+        vec2 scale = vec2(1.0);
+        if ((containerAspect > texAspect) == (fit < 0.5)) {
+            scale.y = texAspect / containerAspect;
+        } else {
+            scale.x = containerAspect / texAspect;
+        }
+        return focal + (fitUv - focal) * scale;
+    }
+
+    vec4 sampleFitted(sampler2D tex, vec2 uv, vec2 texRes, vec2 focal, float fit) {
+        vec2 fitted = fitUV(uv, texRes, focal, fit);
+        if (any(lessThan(fitted, vec2(0.0))) || any(greaterThan(fitted, vec2(1.0)))) {
+            return vec4(letterbox, 1.0);
+        }
+        return texture2D(tex, fitted);
+    }
+
+    vec4 getFromColor(vec2 uv) {
+        return sampleFitted(texture1, uv, texRes1, focal1, fit1);
+    }
+
+    vec4 getToColor(vec2 uv) {
+        return sampleFitted(texture2, uv, texRes2, focal2, fit2);
+    }
+`;
+
 class ScrollDistortionEffect {
     constructor(options) {
         this.config = {
             parent: options.parent,
+            // Slide URLs, or { src, type: 'image' | 'video', srcset } entries; video URLs are detected by
+            // extension. srcset is an <img> style string ('a-640.jpg 640w, a-1600.jpg 1600w') or
+            // [{ src, width }] / [{ src, density }], picked for the container size and pixel ratio
             images: options.images || [],
-            displacementImages: options.displacementImages || options.displacementImage ? [options.displacementImage] : [],
+            displacementImages: Array.isArray(options.displacementImages)
+                ? options.displacementImages
+                : (options.displacementImage ? [options.displacementImage] : []),
+            // Which displacement map each slide uses: per-slide index array,
+            // range rules ([{ from, to, map }]) or a function (targetIndex, currentIndex) => mapIndex
+            displacementMapping: options.displacementMapping || DEFAULT_DISPLACEMENT_RULES,
             intensity: options.intensity || 0.4,
             transitionSpeed: options.transitionSpeed || 1.2,
-            easing: options.easing || 'easeInOut',
+            // Easing preset name, 'cubic-bezier(x1, y1, x2, y2)', a function t => progress,
+            // or a spring ('spring', 'spring(stiffness, damping, mass)' or { type: 'spring', ... })
+            // whose settle time replaces transitionSpeed
+            easing: options.easing || 'easeOut',
+            // What transitionTo does while a transition is running:
+            // 'ignore' (drop the request), 'queue' (run the latest target next),
+            // 'retarget' (settle the current blend quickly, then head for the target) or 'jump' (cut to the target)
+            transitionPolicy: options.transitionPolicy || 'ignore',
+            // 'time' plays a fixed-duration animation per transition,
+            // 'scrub' follows a continuous 0..N-1 position (page scroll or setScrubPosition)
+            progressMode: options.progressMode || 'time',
+            // Fraction of the remaining distance covered per 60fps frame in scrub mode (1 = no smoothing)
+            scrubSmoothing: options.scrubSmoothing || 0.15,
+            // 'scroll' drives scrub mode from page scroll through scrubElement (defaults to parent)
+            scrubSource: options.scrubSource || null,
+            scrubElement: options.scrubElement || null,
+            // Transition effect name from the effect registry, optional per-slide overrides
+            // (array or { index: name }) and instance-only effects ({ name: glsl })
+            effect: options.effect || 'displacement',
+            slideEffects: options.slideEffects || null,
+            effects: options.effects || {},
+            // How slides fill the canvas: fit 'cover', 'contain' (letterboxed) or 'fill', anchored at
+            // focalPoint ({ x, y } from the top left in 0..1, [x, y] or CSS object-position like '30% 20%').
+            // focalPoints/fits override them per slide (array or { index: value }).
+            fit: options.fit || 'cover',
+            fits: options.fits || null,
+            focalPoint: options.focalPoint || 'center',
+            focalPoints: options.focalPoints || null,
+            letterboxColor: options.letterboxColor !== undefined ? options.letterboxColor : 0x000000,
+            // Load only the current slide and preloadWindow neighbours on each side up front;
+            // other slides are fetched when transitionTo targets them
+            lazyLoad: options.lazyLoad || false,
+            preloadWindow: options.preloadWindow !== undefined ? options.preloadWindow : 1,
+            // Wrap next/previous (and autoplay) from the last slide to the first and back.
+            // Scrub mode always stops at the ends.
+            loop: options.loop || false,
+            // Max ms a transition waits for its texture; later arrivals cut to the slide instead
+            loadWaitTimeout: options.loadWaitTimeout || 1500,
+            // Advance on a timer: autoplayDuration seconds per slide (number, array or { index: seconds }).
+            // Without loop, autoplayEnd 'stop's at the last slide or 'rewind's to the first. The countdown
+            // holds while the pointer is over or focus is inside autoplayPauseTarget (defaults to parent)
+            // and while rendering is paused (hidden tab, off-screen, pause())
+            autoplay: options.autoplay || false,
+            autoplayDuration: options.autoplayDuration || 5,
+            autoplayEnd: options.autoplayEnd || 'stop',
+            pauseOnHover: options.pauseOnHover !== false,
+            pauseOnFocus: options.pauseOnFocus !== false,
+            autoplayPauseTarget: options.autoplayPauseTarget || null,
+            // Upper bound for the render resolution and srcset selection on high-density screens
+            maxPixelRatio: options.maxPixelRatio || 2,
+            // Follow prefers-reduced-motion ('auto') or force it (true/false); reduced motion
+            // swaps the effect for a short 'crossfade' or an instant 'cut'
+            reducedMotion: options.reducedMotion !== undefined ? options.reducedMotion : 'auto',
+            reducedMotionStyle: options.reducedMotionStyle || 'crossfade',
+            reducedMotionDuration: options.reducedMotionDuration || 0.4,
+            // Accessible name for the canvas and per-slide alt text
+            label: options.label || 'Image slideshow',
+            alts: options.alts || [],
+            // 'auto' falls back to a 2D canvas crossfade when WebGL can't be created,
+            // 'always' forces the fallback, 'never' rethrows the WebGL error
+            fallback: options.fallback || 'auto',
+            // Renderer constructor hook: (three, { antialias, alpha }) => renderer. Lets tests and
+            // custom setups (e.g. HeadlessRenderer) replace THREE.WebGLRenderer
+            rendererFactory: options.rendererFactory || null,
+            // Draw through one WebGL context shared with other instances (true for the page-wide
+            // default, or a SharedWebGLRenderer); browsers limit how many contexts stay alive
+            sharedRenderer: options.sharedRenderer || false,
             onImageChange: options.onImageChange || null
         };
 
-        this.currentIndex = 0;
+        const lastIndex = Math.max(0, this.config.images.length - 1);
+        this.currentIndex = Math.max(0, Math.min(options.initialIndex || 0, lastIndex));
+        this.transitionWaiters = [];
+        this.listeners = {};
         this.isTransitioning = false;
+        this.isSettlingRetarget = false;
+        // Scrub mode: smoothed and target slide positions (e.g. 2.5 = halfway between slides 2 and 3)
         this.progress = 0;
         this.targetProgress = 0;
+        this.isScrubbing = false;
         
         // Store displacement textures array
         this.displacementTextures = [];
+        this.warnedDisplacementIndices = {};
+
+        this.validateDisplacementMapping();
+
+        // three.js namespace: injected (options.three) or the page's global THREE
+        this.three = options.three || (typeof THREE !== 'undefined' ? THREE : null);
+        if (!this.three) {
+            console.error('ScrollDistortionEffect: three.js not found; load it first or pass options.three');
+            return;
+        }
 
         // Initialize Three.js scene
         this.initScene();
         this.loadTextures();
-        this.animate();
+        this.initVisibilityPausing();
+        this.initAutoplay();
+
+        if (this.config.progressMode === 'scrub' && this.config.scrubSource === 'scroll') {
+            this.bindScroll(this.config.scrubElement || this.config.parent);
+        }
     }
 
     initScene() {
@@ -36,10 +218,10 @@ class ScrollDistortionEffect {
         const height = parent.offsetHeight;
 
         // Create scene
-        this.scene = new THREE.Scene();
+        this.scene = new this.three.Scene();
 
         // Create camera
-        this.camera = new THREE.OrthographicCamera(
+        this.camera = new this.three.OrthographicCamera(
             width / -2,
             width / 2,
             height / 2,
@@ -49,131 +231,684 @@ class ScrollDistortionEffect {
         );
         this.camera.position.z = 1;
 
-        // Create renderer
-        this.renderer = new THREE.WebGLRenderer({ 
-            antialias: false,
-            alpha: false 
-        });
+        // Create renderer (WebGL, or the 2D canvas fallback when WebGL is unavailable)
+        this.renderer = this.createRenderer();
         this.renderer.setClearColor(0x000000, 1);
-        this.renderer.setPixelRatio(window.devicePixelRatio);
+        this.renderer.setPixelRatio(this.getPixelRatio());
         this.renderer.setSize(width, height);
         
         parent.appendChild(this.renderer.domElement);
 
+        // Expose the canvas as an image; its label follows the current slide's alt text
+        this.renderer.domElement.setAttribute('role', 'img');
+        this.updateCanvasLabel();
+
+        // Survive GPU resets (common on mobile): pause while the context is gone, rebuild on restore
+        this.isContextLost = false;
+        this.handleContextLost = (e) => {
+            e.preventDefault();
+            this.isContextLost = true;
+            this.updatePauseState();
+            this.emit('contextlost', {});
+        };
+        this.handleContextRestored = () => {
+            this.isContextLost = false;
+            this.rebuildAfterContextRestore();
+            this.updatePauseState();
+            this.emit('contextrestored', {});
+        };
+        this.renderer.domElement.addEventListener('webglcontextlost', this.handleContextLost);
+        this.renderer.domElement.addEventListener('webglcontextrestored', this.handleContextRestored);
+
         // Handle window resize
         this.handleResize = this.handleResize.bind(this);
         window.addEventListener('resize', this.handleResize);
     }
 
+    // WebGL renderer (config.rendererFactory's, a shared context view or a renderer of its own)
+    // unless config.fallback is 'always'; with 'auto' a failing setup drops to
+    // Canvas2DFallbackRenderer (crossfade only, same public API)
+    createRenderer() {
+        this.isFallback = false;
+        if (this.config.fallback !== 'always') {
+            const rendererOptions = {
+                antialias: false,
+                alpha: false
+            };
+            try {
+                if (this.config.rendererFactory) {
+                    return this.config.rendererFactory(this.three, rendererOptions);
+                }
+                if (this.config.sharedRenderer) {
+                    const shared = this.config.sharedRenderer === true
+                        ? SharedWebGLRenderer.getDefault(this.three)
+                        : this.config.sharedRenderer;
+                    return shared.createView();
+                }
+                return new this.three.WebGLRenderer(rendererOptions);
+            } catch (error) {
+                if (this.config.fallback === 'never') {
+                    throw error;
+                }
+                console.warn('ScrollDistortionEffect: WebGL unavailable, using 2D canvas fallback', error);
+            }
+        }
+        this.isFallback = true;
+        return new Canvas2DFallbackRenderer();
+    }
+
+    // Whether slides are drawn by the 2D canvas fallback instead of WebGL
+    isUsingFallback() {
+        return this.isFallback;
+    }
+
+    // Recreate materials and the mesh after a context restore; textures keep their
+    // decoded images and only need to be uploaded again
+    rebuildAfterContextRestore() {
+        if (!this.material || this.isDestroyed) {
+            return;
+        }
+
+        const effect = this.activeEffect;
+        Object.keys(this.materials).forEach(name => this.materials[name].dispose());
+        this.materials = {};
+        this.scene.remove(this.mesh);
+        this.mesh.geometry.dispose();
+
+        this.textures.concat(this.displacementTextures).forEach(texture => {
+            if (texture) texture.needsUpdate = true;
+        });
+
+        this.material = this.getEffectMaterial(effect);
+        this.activeEffect = effect;
+        this.createMesh();
+        this.requestRender();
+    }
+
     loadTextures() {
-        const loader = new THREE.TextureLoader();
-        loader.crossOrigin = 'anonymous';
+        this.textureLoader = new this.three.TextureLoader();
+        this.textureLoader.crossOrigin = 'anonymous';
         
-        // Load all image textures
+        // Slide textures are loaded on demand (see loadTexture/prefetchAround)
         this.textures = [];
         this.textureResolutions = [];
-        let loadedImageCount = 0;
-        let loadedDisplacementCount = 0;
+        this.textureSourceSizes = [];
+        this.upgradingSources = [];
+        this.texturePromises = [];
+        this.failedTextures = [];
+        this.loadGeneration = 0;
         
         // Count valid displacement maps (for initialization check)
-        const validDisplacementCount = this.config.displacementImages.filter(
+        const validDisplacementUrls = this.config.displacementImages.filter(
             url => url && typeof url === 'string' && url.trim() !== ''
-        ).length;
+        );
+        let settledDisplacementCount = 0;
+        this.displacementsSettled = validDisplacementUrls.length === 0;
+
+        const onDisplacementSettled = () => {
+            settledDisplacementCount++;
+            if (settledDisplacementCount >= validDisplacementUrls.length) {
+                this.displacementsSettled = true;
+                this.onTexturesLoaded();
+            }
+        };
 
-        this.config.images.forEach((imageSrc, index) => {
-            loader.load(
-                imageSrc, 
+        // Load all displacement textures (preserving original indices)
+        this.config.displacementImages.forEach((displacementSrc, index) => {
+            // Skip if displacement URL is invalid
+            if (!displacementSrc || typeof displacementSrc !== 'string' || displacementSrc.trim() === '') {
+                console.warn(`Skipping invalid displacement map ${index}:`, displacementSrc);
+                return;
+            }
+
+            this.textureLoader.load(
+                displacementSrc, 
                 (texture) => {
-                    texture.minFilter = THREE.LinearFilter;
-                    texture.magFilter = THREE.LinearFilter;
-                    texture.wrapS = THREE.ClampToEdgeWrapping;
-                    texture.wrapT = THREE.ClampToEdgeWrapping;
-                    this.textures[index] = texture;
-                    if (texture.image) {
-                        this.textureResolutions[index] = new THREE.Vector2(texture.image.width, texture.image.height);
-                    }
-                    loadedImageCount++;
+                    texture.wrapS = this.three.ClampToEdgeWrapping;
+                    texture.wrapT = this.three.ClampToEdgeWrapping;
+                    this.displacementTextures[index] = texture;
 
-                    if (loadedImageCount >= 2 && loadedDisplacementCount >= validDisplacementCount && validDisplacementCount > 0) {
-                        this.onTexturesLoaded();
+                    // Use first displacement as default
+                    if (index === 0 || !this.displacementTexture) {
+                        this.displacementTexture = texture;
                     }
+                    onDisplacementSettled();
                 },
                 undefined,
                 (error) => {
-                    console.error(`Failed to load image ${index}:`, imageSrc, error);
+                    console.error(`Failed to load displacement map ${index}:`, displacementSrc, error);
+                    this.emit('error', { type: 'displacement', index, url: displacementSrc, error });
+                    onDisplacementSettled();
                 }
             );
         });
 
-        // Load all displacement textures (preserving original indices)
-        if (this.config.displacementImages.length > 0) {
-            this.config.displacementImages.forEach((displacementSrc, index) => {
-                // Skip if displacement URL is invalid
-                if (!displacementSrc || typeof displacementSrc !== 'string' || displacementSrc.trim() === '') {
-                    console.warn(`Skipping invalid displacement map ${index}:`, displacementSrc);
+        // Current slide first, then its neighbours (or everything when not lazy loading)
+        this.prefetchAround(this.currentIndex);
+    }
+
+    // Load a single slide texture once; resolves with the texture, or null if it failed
+    loadTexture(index) {
+        if (index < 0 || index >= this.config.images.length) {
+            return Promise.resolve(null);
+        }
+        if (this.texturePromises[index]) {
+            return this.texturePromises[index];
+        }
+
+        const { src: imageSrc, isVideo, size } = this.getSlideSource(index);
+        const generation = this.loadGeneration;
+
+        this.texturePromises[index] = new Promise((resolve) => {
+            const onLoad = (texture) => {
+                // setImages replaced the slides while this was loading
+                if (generation !== this.loadGeneration) {
+                    this.disposeTexture(texture);
+                    resolve(null);
                     return;
                 }
 
-                loader.load(
-                    displacementSrc, 
-                    (texture) => {
-                        texture.wrapS = THREE.ClampToEdgeWrapping;
-                        texture.wrapT = THREE.ClampToEdgeWrapping;
-                        this.displacementTextures[index] = texture;
-                        loadedDisplacementCount++;
-
-                        // Use first displacement as default
-                        if (index === 0) {
-                            this.displacementTexture = texture;
-                        }
+                this.textures[index] = texture;
+                this.textureResolutions[index] = this.configureTexture(texture);
+                this.textureSourceSizes[index] = size;
+
+                this.emitLoadProgress(index, false);
+                this.onImageLoaded(index);
+                resolve(texture);
+            };
+
+            const onError = (error) => {
+                console.error(`Failed to load image ${index}:`, imageSrc, error);
+                if (generation === this.loadGeneration) {
+                    // Prefetching skips it from now on; an explicit transition retries
+                    this.failedTextures[index] = true;
+                    this.emit('error', { type: isVideo ? 'video' : 'image', index, url: imageSrc, error });
+                    this.emitLoadProgress(index, true);
+                }
+                resolve(null);
+            };
 
-                        if (loadedImageCount >= 2 && loadedDisplacementCount >= validDisplacementCount && validDisplacementCount > 0) {
-                            this.onTexturesLoaded();
-                        }
-                    },
-                    undefined,
-                    (error) => {
-                        console.error(`Failed to load displacement map ${index}:`, displacementSrc, error);
+            if (isVideo) {
+                this.loadVideoTexture(imageSrc, onLoad, onError);
+            } else {
+                this.textureLoader.load(imageSrc, onLoad, undefined, onError);
+            }
+        });
+
+        return this.texturePromises[index];
+    }
+
+    // Set slide texture sampling; returns its resolution (or undefined before the image exists)
+    configureTexture(texture) {
+        texture.minFilter = this.three.LinearFilter;
+        texture.magFilter = this.three.LinearFilter;
+        texture.wrapS = this.three.ClampToEdgeWrapping;
+        texture.wrapT = this.three.ClampToEdgeWrapping;
+
+        const image = texture.image;
+        if (!image) {
+            return undefined;
+        }
+        return new this.three.Vector2(image.videoWidth || image.width, image.videoHeight || image.height);
+    }
+
+    // Slide entries are URLs or { src, type, srcset } objects. With a srcset the candidate is picked
+    // for the current container size; size is its width/density (0 without a srcset)
+    getSlideSource(index) {
+        const entry = this.config.images[index];
+        let src = entry && typeof entry === 'object' ? entry.src : entry;
+        let size = 0;
+
+        const candidates = entry && entry.srcset ? ScrollDistortionEffect.parseSrcset(entry.srcset) : [];
+        if (candidates.length > 0) {
+            const candidate = this.selectSourceCandidate(candidates);
+            src = candidate.src;
+            size = candidate.width || candidate.density;
+        }
+
+        const type = entry && entry.type ? entry.type : (VIDEO_SOURCE_PATTERN.test(src) ? 'video' : 'image');
+        return { src, isVideo: type === 'video', size };
+    }
+
+    // Like <img srcset>: the smallest width covering the container's device pixels
+    // (or the smallest density covering the pixel ratio), else the largest candidate
+    selectSourceCandidate(candidates) {
+        const pixelRatio = this.getPixelRatio();
+        const byWidth = candidates.filter(candidate => candidate.width).sort((a, b) => a.width - b.width);
+        if (byWidth.length > 0) {
+            const needed = this.config.parent.offsetWidth * pixelRatio;
+            return byWidth.find(candidate => candidate.width >= needed) || byWidth[byWidth.length - 1];
+        }
+
+        const byDensity = candidates.sort((a, b) => a.density - b.density);
+        return byDensity.find(candidate => candidate.density >= pixelRatio) || byDensity[byDensity.length - 1];
+    }
+
+    // Device pixel ratio capped at config.maxPixelRatio
+    getPixelRatio() {
+        return Math.min(window.devicePixelRatio || 1, this.config.maxPixelRatio);
+    }
+
+    // After a resize, load sharper sources for loaded slides whose srcset now picks a larger candidate
+    // (never downgrades; the loaded texture stays in use until the new one is ready)
+    refreshResponsiveSources() {
+        this.textures.forEach((texture, index) => {
+            if (!texture || texture.isVideoTexture || this.upgradingSources[index]) {
+                return;
+            }
+            const { src, size } = this.getSlideSource(index);
+            if (size > (this.textureSourceSizes[index] || 0)) {
+                this.upgradeTexture(index, src, size);
+            }
+        });
+    }
+
+    upgradeTexture(index, src, size) {
+        const generation = this.loadGeneration;
+        this.upgradingSources[index] = true;
+
+        this.textureLoader.load(
+            src,
+            (texture) => {
+                this.upgradingSources[index] = false;
+                const previous = this.textures[index];
+                // Slides were replaced or the slide was released while this was loading
+                if (generation !== this.loadGeneration || this.isDestroyed || !previous) {
+                    texture.dispose();
+                    return;
+                }
+
+                const resolution = this.configureTexture(texture);
+                this.textures[index] = texture;
+                this.textureResolutions[index] = resolution;
+                this.textureSourceSizes[index] = size;
+                this.texturePromises[index] = Promise.resolve(texture);
+
+                // Swap in place wherever the old texture is bound
+                if (this.uniforms) {
+                    if (this.uniforms.texture1.value === previous) {
+                        this.uniforms.texture1.value = texture;
+                        this.uniforms.texRes1.value = resolution;
+                    }
+                    if (this.uniforms.texture2.value === previous) {
+                        this.uniforms.texture2.value = texture;
+                        this.uniforms.texRes2.value = resolution;
                     }
-                );
+                }
+                previous.dispose();
+                this.requestRender();
+            },
+            undefined,
+            (error) => {
+                this.upgradingSources[index] = false;
+                console.warn(`Failed to load larger source for image ${index}:`, src, error);
+            }
+        );
+    }
+
+    // Video counterpart of TextureLoader.load; muted, inline and looping so browsers allow autoplay
+    loadVideoTexture(src, onLoad, onError) {
+        const video = document.createElement('video');
+        video.crossOrigin = 'anonymous';
+        video.muted = true;
+        video.loop = true;
+        video.playsInline = true;
+        video.setAttribute('muted', '');
+        video.setAttribute('playsinline', '');
+        video.preload = 'auto';
+
+        const handleLoaded = () => {
+            video.removeEventListener('loadeddata', handleLoaded);
+            video.removeEventListener('error', handleError);
+            onLoad(new this.three.VideoTexture(video));
+        };
+        const handleError = () => {
+            video.removeEventListener('loadeddata', handleLoaded);
+            video.removeEventListener('error', handleError);
+            onError(video.error);
+        };
+        video.addEventListener('loadeddata', handleLoaded);
+        video.addEventListener('error', handleError);
+
+        video.src = src;
+        video.load();
+    }
+
+    // Dispose a slide texture, stopping and unloading its video if it has one
+    disposeTexture(texture) {
+        const video = texture.image;
+        if (texture.isVideoTexture && video) {
+            video.pause();
+            video.removeAttribute('src');
+            video.load();
+        }
+        texture.dispose();
+    }
+
+    // Play the videos of visible slides (current, plus the target mid-transition) and pause the rest
+    updateVideoPlayback() {
+        const visible = [this.currentIndex];
+        if (this.isTransitioning) {
+            visible.push(this.targetIndex);
+        }
+        if (this.config.progressMode === 'scrub') {
+            visible.push(Math.floor(this.progress), Math.ceil(this.progress));
+        }
+        const paused = this.isRenderPaused() || this.isDestroyed;
+
+        this.textures.forEach((texture, index) => {
+            if (!texture || !texture.isVideoTexture) {
+                return;
+            }
+            const video = texture.image;
+            const shouldPlay = !paused && visible.includes(index);
+            if (shouldPlay && video.paused) {
+                const playback = video.play();
+                if (playback && playback.catch) {
+                    playback.catch(error => {
+                        if (!this.warnedVideoPlayback) {
+                            this.warnedVideoPlayback = true;
+                            console.warn('ScrollDistortionEffect: video playback was blocked', error);
+                        }
+                    });
+                }
+            } else if (!shouldPlay && !video.paused) {
+                video.pause();
+            }
+        });
+    }
+
+    hasPlayingVideo() {
+        return this.textures.some(texture => texture && texture.isVideoTexture && !texture.image.paused);
+    }
+
+    // Unload videos outside the preload window around a slide to free decoders and memory.
+    // Uses the prefetch radius so nothing released here is fetched again by prefetchAround
+    // (without lazy loading that covers the whole deck, so videos stay loaded)
+    releaseDistantVideos(index) {
+        const radius = Math.max(1, this.getPreloadRadius());
+        const bound = this.uniforms ? [this.uniforms.texture1.value, this.uniforms.texture2.value] : [];
+
+        this.textures.forEach((texture, slide) => {
+            const isNearby = this.getSlideDistance(slide, index) <= radius || slide === this.currentIndex;
+            if (!texture || !texture.isVideoTexture || isNearby || bound.includes(texture)) {
+                return;
+            }
+            this.disposeTexture(texture);
+            this.textures[slide] = undefined;
+            this.texturePromises[slide] = undefined;
+            this.textureResolutions[slide] = undefined;
+        });
+    }
+
+    // Report how many slide textures are loaded so far
+    emitLoadProgress(index, failed) {
+        this.emit('loadprogress', {
+            index,
+            failed,
+            loaded: this.textures.filter(Boolean).length,
+            total: this.config.images.length
+        });
+    }
+
+    // How many slides on each side of the current one are kept loaded
+    getPreloadRadius() {
+        return this.config.lazyLoad ? this.config.preloadWindow : this.config.images.length;
+    }
+
+    // Slide indices to load around a slide, nearest first: [i, i+1, i-1, i+2, i-2, ...]
+    getPreloadOrder(index) {
+        const total = this.config.images.length;
+        const radius = this.getPreloadRadius();
+        const order = [index];
+
+        for (let distance = 1; distance <= radius; distance++) {
+            [index + distance, index - distance].forEach(offsetIndex => {
+                const neighbour = this.config.loop ? ((offsetIndex % total) + total) % total : offsetIndex;
+                if (neighbour >= 0 && neighbour < total && !order.includes(neighbour)) {
+                    order.push(neighbour);
+                }
             });
         }
+        return order;
+    }
+
+    // Neighbouring slide in a direction: wraps with config.loop, otherwise stays at the ends
+    getAdjacentIndex(index, direction) {
+        const total = this.config.images.length;
+        const adjacent = index + direction;
+        if (this.config.loop && total > 0) {
+            return ((adjacent % total) + total) % total;
+        }
+        return Math.max(0, Math.min(adjacent, total - 1));
+    }
+
+    // Number of steps between two slides (the shorter way round when looping)
+    getSlideDistance(a, b) {
+        const distance = Math.abs(a - b);
+        return this.config.loop ? Math.min(distance, this.config.images.length - distance) : distance;
+    }
+
+    // Load a slide first, then prefetch its neighbours within the preload window
+    prefetchAround(index) {
+        this.releaseDistantVideos(index);
+        const order = this.getPreloadOrder(index).filter(slide => !this.failedTextures[slide]);
+        if (order.length === 0) {
+            return Promise.resolve();
+        }
+        return this.loadTexture(order[0]).then(() => {
+            return Promise.all(order.slice(1).map(neighbour => this.loadTexture(neighbour)));
+        });
+    }
+
+    // Called whenever a slide texture finishes loading
+    onImageLoaded(index) {
+        if (!this.material) {
+            this.onTexturesLoaded();
+            return;
+        }
+
+        // Refresh the resting image when its texture arrives (e.g. after setImages);
+        // scrub mode rebinds its textures every frame anyway
+        const isPendingInitial = this.pendingInitialIndex === index;
+        const isRestingImage = index === this.currentIndex && !this.isTransitioning &&
+            this.config.progressMode !== 'scrub';
+        if (isPendingInitial || isRestingImage) {
+            this.pendingInitialIndex = undefined;
+            this.applyInitialImage(index);
+        } else if (this.config.progressMode === 'scrub') {
+            this.requestRender();
+        }
     }
 
     onTexturesLoaded() {
-        // Wait for at least first 2 image textures and displacement to load
-        if (!this.textures[0] || !this.textures[1] || !this.displacementTexture || this.material) {
+        const startIndex = this.pendingInitialIndex !== undefined ? this.pendingInitialIndex : this.currentIndex;
+
+        // Wait for the starting slide's texture and the displacement maps to load
+        if (!this.textures[startIndex] || !this.displacementsSettled || this.material) {
             return;
         }
 
         this.createMaterial();
         this.createMesh();
         
-        // If there's a pending initial image index, apply it now
-        if (this.pendingInitialIndex !== undefined) {
-            this.applyInitialImage(this.pendingInitialIndex);
-            this.pendingInitialIndex = undefined;
+        // Show the starting slide (the pending initial image, if any)
+        this.pendingInitialIndex = undefined;
+        this.applyInitialImage(startIndex);
+
+        // When scroll drives the scrub, start at the scroll position without animating to it
+        if (this.handleScrubScroll) {
+            this.handleScrubScroll();
+            this.progress = this.targetProgress;
         }
+
+        this.scheduleAutoplay();
     }
 
-    // Get displacement texture index based on target state
-    // States 1-3 (indices 0-2): displacement 0
-    // States 4-7 (indices 3-6): displacement 1
-    // States 8-11 (indices 7-10): displacement 2
+    // Resolve the configured mapping to a raw displacement map index (may be invalid)
+    resolveDisplacementMapping(targetIndex) {
+        const mapping = this.config.displacementMapping;
+
+        if (typeof mapping === 'function') {
+            return mapping(targetIndex, this.currentIndex);
+        }
+
+        if (!Array.isArray(mapping) || mapping.length === 0) {
+            return 0;
+        }
+
+        // Per-slide array of map indices, e.g. [0, 0, 1, 1, 2, 2]
+        if (typeof mapping[0] === 'number') {
+            return mapping[targetIndex] !== undefined ? mapping[targetIndex] : 0;
+        }
+
+        // Range rules, e.g. [{ from: 0, to: 2, map: 0 }, { from: 3, to: 5, map: 1 }]
+        const rule = mapping.find(r => r && targetIndex >= r.from && targetIndex <= r.to);
+        return rule ? rule.map : 0;
+    }
+
+    // Check whether a displacement map index points to a configured, valid URL
+    isValidDisplacementIndex(mapIndex) {
+        const url = this.config.displacementImages[mapIndex];
+        return Number.isInteger(mapIndex) && mapIndex >= 0 &&
+            typeof url === 'string' && url.trim() !== '';
+    }
+
+    // The default rules describe the legacy 11-slide/3-map deck; decks with fewer maps
+    // silently fall back to map 0 for the missing ranges, as before
+    isUnusedDefaultMap(mapIndex) {
+        return this.config.displacementMapping === DEFAULT_DISPLACEMENT_RULES &&
+            mapIndex >= this.config.displacementImages.length;
+    }
+
+    // Get displacement texture index for a target slide (falls back to map 0)
     getDisplacementIndex(targetIndex) {
-        if (targetIndex >= 0 && targetIndex <= 2) {
-            return 0; // First displacement for states 1-3
-        } else if (targetIndex >= 3 && targetIndex <= 6) {
-            return 1; // Second displacement for states 4-7
-        } else if (targetIndex >= 7 && targetIndex <= 10) {
-            return 2; // Third displacement for states 8-11
-        }
-        // Fallback to first displacement
+        const mapIndex = this.resolveDisplacementMapping(targetIndex);
+
+        if (this.config.displacementImages.length === 0 || this.isValidDisplacementIndex(mapIndex)) {
+            return mapIndex;
+        }
+
+        if (this.isUnusedDefaultMap(mapIndex)) {
+            return 0;
+        }
+
+        if (!this.warnedDisplacementIndices[targetIndex]) {
+            this.warnedDisplacementIndices[targetIndex] = true;
+            console.warn(`Slide ${targetIndex} points to missing displacement map ${mapIndex}, using map 0`);
+        }
         return 0;
     }
 
+    // Warn about slides whose mapping points to a displacement map that doesn't exist
+    validateDisplacementMapping() {
+        const invalid = [];
+
+        // Nothing to validate against until both slides and maps are known
+        if (this.config.displacementImages.length === 0 || this.config.images.length === 0) {
+            return true;
+        }
+
+        this.config.images.forEach((_, index) => {
+            const mapIndex = this.resolveDisplacementMapping(index);
+            if (!this.isValidDisplacementIndex(mapIndex) && !this.isUnusedDefaultMap(mapIndex)) {
+                invalid.push(`${index} -> ${mapIndex}`);
+            }
+        });
+
+        if (invalid.length > 0) {
+            console.warn(`Displacement mapping points to missing maps (slide -> map): ${invalid.join(', ')}`);
+            return false;
+        }
+        return true;
+    }
+
+    // Update the slide -> displacement map assignment
+    setDisplacementMapping(mapping) {
+        const isValidType = typeof mapping === 'function' || Array.isArray(mapping);
+        if (!isValidType) {
+            console.error('setDisplacementMapping: mapping must be an array or a function');
+            return;
+        }
+
+        this.config.displacementMapping = mapping;
+        this.warnedDisplacementIndices = {};
+        this.validateDisplacementMapping();
+
+        // Re-apply the displacement for the slide currently shown
+        if (this.material && !this.isTransitioning) {
+            this.applyDisplacement(this.currentIndex);
+        }
+    }
+
     createMaterial() {
-        // Custom shader for distortion effect
+        // Uniforms are shared by every effect material, so switching effects keeps all state
+        this.uniforms = {
+            texture1: { value: this.textures[this.currentIndex] },
+            texture2: { value: this.textures[this.currentIndex] },
+            displacement: { value: this.displacementTexture },
+            progress: { value: 0 },
+            intensity: { value: this.config.intensity },
+            resolution: { value: new this.three.Vector2(
+                this.config.parent.offsetWidth,
+                this.config.parent.offsetHeight
+            )},
+            texRes1: { value: this.textureResolutions[this.currentIndex] || new this.three.Vector2(1920, 1080) },
+            texRes2: { value: this.textureResolutions[this.currentIndex] || new this.three.Vector2(1920, 1080) },
+            focal1: { value: this.getSlideFocalPoint(this.currentIndex) },
+            focal2: { value: this.getSlideFocalPoint(this.currentIndex) },
+            fit1: { value: this.getSlideFit(this.currentIndex) },
+            fit2: { value: this.getSlideFit(this.currentIndex) },
+            letterbox: { value: new this.three.Color(this.config.letterboxColor) }
+        };
+
+        this.materials = {};
+        this.activeEffect = this.resolveEffectName(this.config.effect);
+        this.material = this.getEffectMaterial(this.activeEffect);
+    }
+
+    // Look up an effect's GLSL: instance effects first, then the global registry
+    getEffectSource(name) {
+        if (this.config.effects[name]) {
+            return this.config.effects[name];
+        }
+        return ScrollDistortionEffect.effects[name];
+    }
+
+    // Validate an effect name, falling back to the displacement effect
+    resolveEffectName(name) {
+        if (name && this.getEffectSource(name)) {
+            return name;
+        }
+        if (name) {
+            console.warn(`Unknown transition effect "${name}", using "displacement"`);
+        }
+        return 'displacement';
+    }
+
+    // Effect for a transition: crossfade under reduced motion, otherwise the per-call option,
+    // then the per-slide setting, then the global effect
+    getEffectForTransition(targetIndex, options) {
+        if (this.prefersReducedMotion()) {
+            return 'crossfade';
+        }
+        if (options && options.effect) {
+            return this.resolveEffectName(options.effect);
+        }
+        const slideEffects = this.config.slideEffects;
+        if (slideEffects && slideEffects[targetIndex]) {
+            return this.resolveEffectName(slideEffects[targetIndex]);
+        }
+        return this.resolveEffectName(this.config.effect);
+    }
+
+    // Create (or reuse) the shader material for an effect
+    getEffectMaterial(name) {
+        if (this.materials[name]) {
+            return this.materials[name];
+        }
+
+        // Shared vertex shader; the fragment shader is the common header plus the effect
         const vertexShader = `
             varying vec2 vUv;
             void main() {
@@ -182,227 +917,1026 @@ class ScrollDistortionEffect {
             }
         `;
 
-        const fragmentShader = `
-            varying vec2 vUv;
-            uniform sampler2D texture1;
-            uniform sampler2D texture2;
-            uniform sampler2D displacement;
-            uniform float progress;
-            uniform float intensity;
-            uniform vec2 resolution;
-            uniform vec2 texRes1;
-            uniform vec2 texRes2;
-
+        const fragmentShader = [
+            EFFECT_SHADER_HEADER,
+            this.getEffectSource(name),
+            `
             void main() {
-                vec2 uv = vUv;
-                
-                // Get displacement value
-                vec4 disp = texture2D(displacement, uv);
-                
-                // Calculate distortion amount based on progress
-                float distortionAmount = intensity * (1.0 - abs(progress - 0.5) * 2.0);
-                
-                // Apply distortion to UV coordinates
-                vec2 distortedUV1 = vec2(
-                    uv.x + (disp.r - 0.5) * distortionAmount * progress,
-                    uv.y + (disp.g - 0.5) * distortionAmount * progress
-                );
-                vec2 distortedUV2 = vec2(
-                    uv.x - (disp.r - 0.5) * distortionAmount * (1.0 - progress),
-                    uv.y - (disp.g - 0.5) * distortionAmount * (1.0 - progress)
-                );
-                
-                // Clamp distorted UV coordinates to prevent edge artifacts
-                distortedUV1 = clamp(distortedUV1, 0.0, 1.0);
-                distortedUV2 = clamp(distortedUV2, 0.0, 1.0);
-
-                // background-size: cover for texture1
-                float containerAspect = resolution.x / resolution.y;
-                float texAspect1 = texRes1.x / texRes1.y;
-                vec2 uv1 = distortedUV1 - 0.5;
-                if (containerAspect > texAspect1) {
-                    float scale = containerAspect / texAspect1;
-                    uv1.x *= scale;
-                } else {
-                    float scale = texAspect1 / containerAspect;
-                    uv1.y *= scale;
-                }
-                uv1 += 0.5;
-                // Clamp cover-calculated UVs to prevent edge artifacts
-                uv1 = clamp(uv1, 0.0, 1.0);
-
-                // background-size: cover for texture2
-                float texAspect2 = texRes2.x / texRes2.y;
-                vec2 uv2 = distortedUV2 - 0.5;
-                if (containerAspect > texAspect2) {
-                    float scale2 = containerAspect / texAspect2;
-                    uv2.x *= scale2;
-                } else {
-                    float scale2 = texAspect2 / containerAspect;
-                    uv2.y *= scale2;
-                }
-                uv2 += 0.5;
-                // Clamp cover-calculated UVs to prevent edge artifacts
-                uv2 = clamp(uv2, 0.0, 1.0);
-                
-                // Sample both textures
-                vec4 color1 = texture2D(texture1, uv1);
-                vec4 color2 = texture2D(texture2, uv2);
-                
-                // Mix based on progress
-                vec4 finalColor = mix(color1, color2, progress);
-                
-                gl_FragColor = finalColor;
+                gl_FragColor = transition(vUv);
             }
-        `;
+            `
+        ].join('\n');
 
-        this.material = new THREE.ShaderMaterial({
-            uniforms: {
-                texture1: { value: this.textures[0] },
-                texture2: { value: this.textures[1] },
-                displacement: { value: this.displacementTexture },
-                progress: { value: 0 },
-                intensity: { value: this.config.intensity },
-                resolution: { value: new THREE.Vector2(
-                    this.config.parent.offsetWidth,
-                    this.config.parent.offsetHeight
-                )},
-                texRes1: { value: this.textureResolutions[0] || new THREE.Vector2(1920, 1080) },
-                texRes2: { value: this.textureResolutions[1] || new THREE.Vector2(1920, 1080) }
-            },
+        this.materials[name] = new this.three.ShaderMaterial({
+            uniforms: this.uniforms,
             vertexShader,
             fragmentShader
         });
+        return this.materials[name];
+    }
+
+    // Switch the mesh to another effect's material
+    useEffect(name) {
+        if (name === this.activeEffect && this.material) {
+            return;
+        }
+
+        this.activeEffect = name;
+        this.material = this.getEffectMaterial(name);
+        if (this.mesh) {
+            this.mesh.material = this.material;
+        }
+        this.requestRender();
+    }
+
+    // Set the global transition effect
+    setEffect(name) {
+        this.config.effect = this.resolveEffectName(name);
+        if (this.material && !this.isTransitioning) {
+            this.useEffect(this.config.effect);
+        }
+    }
+
+    // CSS-style cubic-bezier(x1, y1, x2, y2) easing function
+    static cubicBezier(x1, y1, x2, y2) {
+        const cx = 3 * x1;
+        const bx = 3 * (x2 - x1) - cx;
+        const ax = 1 - cx - bx;
+        const cy = 3 * y1;
+        const by = 3 * (y2 - y1) - cy;
+        const ay = 1 - cy - by;
+        const sampleX = t => ((ax * t + bx) * t + cx) * t;
+        const sampleY = t => ((ay * t + by) * t + cy) * t;
+        const sampleSlopeX = t => (3 * ax * t + 2 * bx) * t + cx;
+
+        // Find the curve parameter for x: Newton's method, bisection if the slope is too flat
+        const solveX = (x) => {
+            let t = x;
+            for (let i = 0; i < 8; i++) {
+                const error = sampleX(t) - x;
+                if (Math.abs(error) < 1e-6) return t;
+                const slope = sampleSlopeX(t);
+                if (Math.abs(slope) < 1e-6) break;
+                t -= error / slope;
+            }
+
+            let low = 0;
+            let high = 1;
+            t = x;
+            while (high - low > 1e-6) {
+                if (sampleX(t) < x) low = t;
+                else high = t;
+                t = (low + high) / 2;
+            }
+            return t;
+        };
+
+        return t => (t <= 0 ? 0 : t >= 1 ? 1 : sampleY(solveX(t)));
+    }
+
+    // Read spring settings from 'spring(stiffness, damping, mass)' or { stiffness, damping, mass, velocity }
+    static parseSpring(definition) {
+        let settings = definition;
+        if (typeof definition === 'string') {
+            const values = (definition.match(/\(([^)]*)\)/) || [null, ''])[1]
+                .split(',')
+                .map(value => parseFloat(value));
+            settings = { stiffness: values[0], damping: values[1], mass: values[2] };
+        }
+        return {
+            stiffness: settings.stiffness || 170,
+            damping: settings.damping || 26,
+            mass: settings.mass || 1,
+            velocity: settings.velocity || 0
+        };
+    }
+
+    // Damped spring from 0 to 1 as { ease, duration }: the settle time becomes the duration
+    // and ease samples the spring's position over it
+    static spring({ stiffness, damping, mass, velocity }) {
+        const omega = Math.sqrt(stiffness / mass);
+        const zeta = damping / (2 * Math.sqrt(stiffness * mass));
+        const start = -1; // offset from the rest position
+
+        const offset = (time) => {
+            const decay = Math.exp(-zeta * omega * time);
+            if (zeta < 1) {
+                const omegaD = omega * Math.sqrt(1 - zeta * zeta);
+                return decay * (start * Math.cos(omegaD * time) +
+                    ((velocity + zeta * omega * start) / omegaD) * Math.sin(omegaD * time));
+            }
+            if (zeta === 1) {
+                return decay * (start + (velocity + omega * start) * time);
+            }
+            const omegaH = omega * Math.sqrt(zeta * zeta - 1);
+            return decay * (start * Math.cosh(omegaH * time) +
+                ((velocity + zeta * omega * start) / omegaH) * Math.sinh(omegaH * time));
+        };
+
+        // Settled once it stays within 0.1% of the target (capped at 10s)
+        let duration = 0;
+        for (let time = 0; time <= 10; time += 1 / 120) {
+            if (Math.abs(offset(time)) >= 0.001) {
+                duration = time;
+            }
+        }
+        duration = Math.max(duration, 1 / 60);
+
+        return { ease: t => 1 + offset(t * duration), duration };
+    }
+
+    // Parse an <img> srcset string or [{ src, width | density }] array into candidates
+    static parseSrcset(srcset) {
+        if (Array.isArray(srcset)) {
+            return srcset.filter(candidate => candidate && candidate.src).map(candidate => ({
+                src: candidate.src,
+                width: candidate.width || 0,
+                density: candidate.density || (candidate.width ? 0 : 1)
+            }));
+        }
+
+        return String(srcset).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+            const [src, descriptor = '1x'] = part.split(/\s+/);
+            const value = parseFloat(descriptor);
+            return descriptor.endsWith('w')
+                ? { src, width: value, density: 0 }
+                : { src, width: 0, density: value || 1 };
+        });
+    }
+
+    // Parse a focal point ({ x, y }, [x, y] or CSS object-position) into { x, y } from the top left, 0..1
+    static parseFocalPoint(value) {
+        if (Array.isArray(value)) {
+            return { x: value[0], y: value[1] };
+        }
+        if (value && typeof value === 'object') {
+            return { x: value.x, y: value.y };
+        }
+
+        const keywords = { left: 0, top: 0, center: 0.5, right: 1, bottom: 1 };
+        const parts = String(value || 'center').trim().split(/\s+/);
+        const parsePart = (part) => {
+            if (keywords[part] !== undefined) return keywords[part];
+            const number = parseFloat(part);
+            return isNaN(number) ? 0.5 : number / 100;
+        };
+
+        // A single vertical keyword ('top', 'bottom') sets y and centres x
+        if (parts.length === 1 && (parts[0] === 'top' || parts[0] === 'bottom')) {
+            return { x: 0.5, y: keywords[parts[0]] };
+        }
+        // Keyword pairs may come in either order ('top left')
+        if (parts[0] === 'top' || parts[0] === 'bottom' || parts[1] === 'left' || parts[1] === 'right') {
+            parts.reverse();
+        }
+        return { x: parsePart(parts[0]), y: parts.length > 1 ? parsePart(parts[1]) : 0.5 };
+    }
+
+    // Register a transition effect for every instance. The GLSL must define
+    // `vec4 transition(vec2 uv)` and can use getFromColor/getToColor (fitted per slide),
+    // progress, intensity, displacement and resolution.
+    static registerEffect(name, fragmentSource) {
+        if (!name || typeof fragmentSource !== 'string' || fragmentSource.indexOf('transition') === -1) {
+            console.error('registerEffect: expected a name and GLSL defining vec4 transition(vec2 uv)');
+            return;
+        }
+        ScrollDistortionEffect.effects[name] = fragmentSource;
+    }
+
+    createMesh() {
+        const width = this.config.parent.offsetWidth;
+        const height = this.config.parent.offsetHeight;
+        const overscan = this.computeOverscanFactor();
+
+        const geometry = new this.three.PlaneGeometry(width * overscan, height * overscan, 1, 1);
+        this.mesh = new this.three.Mesh(geometry, this.material);
+        this.scene.add(this.mesh);
+    }
+
+    // Compute a geometry overscan factor so edges remain offscreen even during distortion
+    computeOverscanFactor() {
+        const base = 1.05; // small baseline to cover rounding
+        const extra = Math.min(0.6, this.config.intensity * 1.2); // grow with intensity, cap
+        return base + extra; // e.g. intensity 0.4 -> ~1.53x
+    }
+
+    // Easing functions
+    easeInOut(t) {
+        return EASING_PRESETS.easeInOut(t);
+    }
+
+    easeOut(t) {
+        return EASING_PRESETS.easeOut(t);
+    }
+
+    // Resolve an easing option into { ease, duration }; duration is only set by springs
+    resolveEasing(easing) {
+        if (typeof easing === 'function') {
+            return { ease: easing, duration: null };
+        }
+
+        const preset = typeof easing === 'string' ? EASING_PRESETS[easing] : null;
+        if (typeof preset === 'function') {
+            return { ease: preset, duration: null };
+        }
+
+        const definition = preset || easing;
+        const isSpring = (definition && definition.type === 'spring') ||
+            (typeof definition === 'string' && /^spring(\(|$)/.test(definition.trim()));
+        if (isSpring) {
+            return ScrollDistortionEffect.spring(ScrollDistortionEffect.parseSpring(definition));
+        }
+
+        const bezier = typeof definition === 'string' &&
+            definition.match(/^cubic-bezier\(\s*([^,]+),\s*([^,]+),\s*([^,]+),\s*([^)]+)\)$/);
+        if (bezier) {
+            const points = bezier.slice(1).map(Number);
+            if (points.every(point => !isNaN(point))) {
+                return { ease: ScrollDistortionEffect.cubicBezier(...points), duration: null };
+            }
+        }
+
+        console.warn('Unknown easing, using "easeOut":', easing);
+        return { ease: EASING_PRESETS.easeOut, duration: null };
+    }
+
+    // Index the engine will end on: the latest queued or in-flight target, or the slide
+    // still waiting for its texture before the transition can start
+    getDestinationIndex() {
+        if (this.config.progressMode === 'scrub') {
+            return Math.round(this.targetProgress);
+        }
+        if (!this.isTransitioning) {
+            return this.pendingTargetIndex !== undefined ? this.pendingTargetIndex : this.currentIndex;
+        }
+        return this.queuedIndex !== undefined ? this.queuedIndex : this.targetIndex;
+    }
+
+    // Transition to next image (wraps only with config.loop)
+    transitionToNext(options) {
+        if (!this.material || (this.isTransitioning && this.config.transitionPolicy === 'ignore')) {
+            return Promise.resolve(false);
+        }
+        const baseIndex = this.getDestinationIndex();
+        const nextIndex = this.getAdjacentIndex(baseIndex, 1);
+        if (nextIndex === baseIndex) {
+            return Promise.resolve(false);
+        }
+        return this.transitionTo(nextIndex, options);
+    }
+
+    // Transition to previous image (wraps only with config.loop)
+    transitionToPrevious(options) {
+        if (!this.material || (this.isTransitioning && this.config.transitionPolicy === 'ignore')) {
+            return Promise.resolve(false);
+        }
+        const baseIndex = this.getDestinationIndex();
+        const prevIndex = this.getAdjacentIndex(baseIndex, -1);
+        if (prevIndex === baseIndex) {
+            return Promise.resolve(false);
+        }
+        return this.transitionTo(prevIndex, options);
+    }
+
+    // Transition to specific index
+    // options.effect, options.easing and options.duration (seconds) override the configured
+    // effect, easing and transitionSpeed for this call.
+    // Resolves with true once the canvas settles on targetIndex, false if it settles elsewhere
+    // (request ignored, superseded or failed)
+    transitionTo(targetIndex, options) {
+        const settled = new Promise((resolve) => {
+            this.transitionWaiters.push({ targetIndex, resolve });
+        });
+
+        this.requestTransition(targetIndex, options);
+        this.settleTransitions();
+        return settled;
+    }
+
+    // Whether a transition, scrub or on-demand load is still under way
+    isBusy() {
+        const isScrubPending = this.config.progressMode === 'scrub' && this.progress !== this.targetProgress;
+        return this.isTransitioning || isScrubPending || this.pendingTargetIndex !== undefined;
+    }
+
+    // Resolve transitionTo promises once the engine has come to rest
+    settleTransitions() {
+        if (this.isBusy() && !this.isDestroyed) {
+            return;
+        }
+        const waiters = this.transitionWaiters;
+        this.transitionWaiters = [];
+        waiters.forEach(waiter => waiter.resolve(!this.isDestroyed && waiter.targetIndex === this.currentIndex));
+
+        // At rest on a slide: start its autoplay countdown
+        this.scheduleAutoplay();
+    }
+
+    requestTransition(targetIndex, options) {
+        // Not ready yet: start on the target once the material exists
+        if (!this.material) {
+            this.setInitialImage(targetIndex);
+            return;
+        }
+
+        // In scrub mode a transition is just a scrub towards the target slide
+        if (this.config.progressMode === 'scrub') {
+            this.setScrubPosition(targetIndex);
+            return;
+        }
+
+        // A transition is already running: apply the configured transition policy
+        if (this.isTransitioning) {
+            this.handleTransitionRequest(targetIndex, options);
+            return;
+        }
+
+        if (targetIndex === this.currentIndex) {
+            this.pendingTargetIndex = undefined;
+            return;
+        }
+        
+        // Fetch on demand, then transition (or cut if the wait took too long)
+        if (!this.textures[targetIndex]) {
+            this.whenTextureReady(targetIndex, (loadedInTime) => {
+                if (loadedInTime) {
+                    this.requestTransition(targetIndex, options);
+                } else {
+                    this.jumpTo(targetIndex);
+                }
+            });
+            return;
+        }
+
+        // Reduced motion can ask for an instant cut instead of an animation
+        if (this.prefersReducedMotion() && this.config.reducedMotionStyle === 'cut') {
+            this.jumpTo(targetIndex);
+            return;
+        }
+
+        this.startTransition(this.currentIndex, targetIndex, 0, options);
+    }
+
+    // Whether transitions should avoid motion (config override or the OS setting)
+    prefersReducedMotion() {
+        if (this.config.reducedMotion !== 'auto') {
+            return this.config.reducedMotion === true;
+        }
+        return typeof window !== 'undefined' && typeof window.matchMedia === 'function' &&
+            window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    // Label the canvas with the current slide's alt text
+    updateCanvasLabel() {
+        const alt = this.config.alts[this.currentIndex];
+        this.renderer.domElement.setAttribute('aria-label', alt ? `${this.config.label}: ${alt}` : this.config.label);
+    }
+
+    // Handle a transition request that arrives while another transition is running
+    handleTransitionRequest(targetIndex, options) {
+        switch (this.config.transitionPolicy) {
+            case 'queue':
+                // Only the latest target matters; drop the queue if it points where we're already going
+                this.queuedIndex = targetIndex === this.targetIndex ? undefined : targetIndex;
+                this.queuedOptions = options;
+                this.loadTexture(targetIndex);
+                break;
+            case 'retarget':
+                this.retargetTransition(targetIndex, options);
+                break;
+            case 'jump':
+                this.jumpTo(targetIndex);
+                break;
+            default:
+                // 'ignore': keep the running transition, drop the request
+                break;
+        }
+    }
+
+    // Start animating from one slide to another, optionally from a non-zero progress
+    startTransition(fromIndex, targetIndex, startProgress, options) {
+        this.resetAutoplayCountdown();
+
+        // Per-call easing/duration win over the configured ones; springs bring their own duration
+        const easing = this.resolveEasing((options && options.easing) || this.config.easing);
+        const duration = (options && options.duration) || easing.duration || this.config.transitionSpeed;
+
+        this.isTransitioning = true;
+        this.isSettlingRetarget = false;
+        this.startTime = Date.now();
+        this.transitionEase = easing.ease;
+        this.transitionDuration = this.prefersReducedMotion()
+            ? Math.min(duration, this.config.reducedMotionDuration)
+            : duration;
+        this.startProgress = startProgress;
+        this.currentIndex = fromIndex;
+        this.targetIndex = targetIndex;
+        this.queuedIndex = undefined;
+        this.pendingTargetIndex = undefined;
+
+        // Select effect and displacement texture based on target index
+        this.useEffect(this.getEffectForTransition(targetIndex, options));
+        this.applyDisplacement(targetIndex);
+
+        // Update textures
+        this.bindTextures(fromIndex, targetIndex);
+        this.material.uniforms.progress.value = startProgress;
+
+        // Call callback if provided
+        if (this.config.onImageChange) {
+            this.config.onImageChange(targetIndex);
+        }
+        this.emit('transitionstart', { from: fromIndex, to: targetIndex });
+
+        // Animate progress
+        this.requestRender();
+
+        // Get the slides around the target ready for the next transition
+        this.prefetchAround(targetIndex);
+    }
+
+    // Run a callback once a slide's texture has loaded. Only the latest request is kept;
+    // the callback receives whether the texture arrived within loadWaitTimeout
+    whenTextureReady(targetIndex, callback) {
+        const requestedAt = Date.now();
+        this.pendingTargetIndex = targetIndex;
+
+        // Retry slides that failed before
+        if (this.failedTextures[targetIndex]) {
+            this.failedTextures[targetIndex] = false;
+            this.texturePromises[targetIndex] = null;
+        }
+
+        this.loadTexture(targetIndex).then((texture) => {
+            // A newer request superseded this one
+            if (this.pendingTargetIndex !== targetIndex) {
+                return;
+            }
+            this.pendingTargetIndex = undefined;
+
+            if (!texture) {
+                console.error('Target texture could not be loaded:', targetIndex);
+                this.settleTransitions();
+                return;
+            }
+            callback(Date.now() - requestedAt <= this.config.loadWaitTimeout);
+        });
+    }
+
+    // Redirect the running transition to a new target, continuing from the current blend
+    retargetTransition(targetIndex, options) {
+        if (targetIndex === this.targetIndex) {
+            return;
+        }
+
+        if (!this.textures[targetIndex]) {
+            this.whenTextureReady(targetIndex, () => this.requestTransition(targetIndex, options));
+            return;
+        }
+
+        // Already settling an earlier retarget: just change where to go afterwards
+        if (this.isSettlingRetarget) {
+            this.queuedIndex = targetIndex === this.targetIndex ? undefined : targetIndex;
+            this.queuedOptions = options;
+            return;
+        }
+
+        const progress = this.material.uniforms.progress.value;
+
+        if (targetIndex === this.currentIndex) {
+            // Going back where we came from: swap sides and reverse the blend seamlessly
+            this.startTransition(this.targetIndex, targetIndex, 1 - progress, options);
+            return;
+        }
+
+        // A third slide can't be blended in from a mixed frame: finish (or rewind) the current pair
+        // quickly from where it is, then continue to the new target from a clean image
+        if (progress < 0.5) {
+            const fromIndex = this.currentIndex;
+            this.currentIndex = this.targetIndex;
+            this.targetIndex = fromIndex;
+            this.bindTextures(this.currentIndex, this.targetIndex);
+            this.material.uniforms.progress.value = 1 - progress;
+        }
+        this.settleRetarget();
+        this.queuedIndex = targetIndex;
+        this.queuedOptions = options;
+    }
+
+    // Run the rest of the current pair's blend over a short, linear settle
+    settleRetarget() {
+        const progress = this.material.uniforms.progress.value;
+        const settleDuration = Math.min(RETARGET_SETTLE_DURATION, this.transitionDuration);
+        this.isSettlingRetarget = true;
+        this.startTime = Date.now();
+        this.startProgress = progress;
+        this.transitionEase = EASING_PRESETS.linear;
+        // animateProgress stretches the duration over the remaining distance only
+        this.transitionDuration = progress < 1 ? settleDuration / (1 - progress) : 0;
+        this.requestRender();
+    }
+
+    // Cancel any running transition and show the target immediately
+    jumpTo(targetIndex) {
+        if (!this.textures[targetIndex]) {
+            this.whenTextureReady(targetIndex, () => this.jumpTo(targetIndex));
+            return;
+        }
+
+        this.cancelTransition();
+        this.pendingTargetIndex = undefined;
+        this.resetAutoplayCountdown();
+
+        const fromIndex = this.currentIndex;
+        if (targetIndex !== fromIndex) {
+            if (this.config.onImageChange) {
+                this.config.onImageChange(targetIndex);
+            }
+            this.emit('transitionstart', { from: fromIndex, to: targetIndex, cut: true });
+        }
+        this.applyInitialImage(targetIndex);
+        if (targetIndex !== fromIndex) {
+            this.emit('transitionend', { from: fromIndex, to: targetIndex, cut: true });
+        }
+        this.settleTransitions();
+    }
+
+    // Stop the progress animation without completing it
+    cancelTransition() {
+        this.isTransitioning = false;
+        this.isSettlingRetarget = false;
+        this.queuedIndex = undefined;
+    }
+
+    // Bind the "from" and "to" textures (and their resolutions) to the shader
+    // (falls back to the "from" texture while the "to" texture isn't loaded yet)
+    bindTextures(fromIndex, toIndex) {
+        const uniforms = this.material.uniforms;
+        const resolvedToIndex = this.textures[toIndex] ? toIndex : fromIndex;
+        uniforms.texture1.value = this.textures[fromIndex];
+        uniforms.texture2.value = this.textures[resolvedToIndex];
+        uniforms.texRes1.value = this.textureResolutions[fromIndex] || uniforms.texRes1.value;
+        uniforms.texRes2.value = this.textureResolutions[resolvedToIndex] || uniforms.texRes2.value;
+        uniforms.focal1.value = this.getSlideFocalPoint(fromIndex);
+        uniforms.focal2.value = this.getSlideFocalPoint(resolvedToIndex);
+        uniforms.fit1.value = this.getSlideFit(fromIndex);
+        uniforms.fit2.value = this.getSlideFit(resolvedToIndex);
+    }
+
+    // Shader fit mode for a slide (per-slide fits, then config.fit)
+    getSlideFit(index) {
+        const fits = this.config.fits;
+        const fit = (fits && fits[index]) || this.config.fit;
+        if (FIT_MODES[fit] === undefined) {
+            console.warn(`Unknown fit "${fit}", using "cover"`);
+            return FIT_MODES.cover;
+        }
+        return FIT_MODES[fit];
+    }
+
+    // Focal point for a slide in texture UV space (origin bottom left)
+    getSlideFocalPoint(index) {
+        const focalPoints = this.config.focalPoints;
+        const focalPoint = (focalPoints && focalPoints[index]) || this.config.focalPoint;
+        const parsed = ScrollDistortionEffect.parseFocalPoint(focalPoint);
+        return new this.three.Vector2(parsed.x, 1 - parsed.y);
+    }
+
+    // Update fit and focal point settings (same shape as the constructor options) and redraw
+    setFraming(options) {
+        ['fit', 'fits', 'focalPoint', 'focalPoints'].forEach(key => {
+            if (options[key] !== undefined) {
+                this.config[key] = options[key];
+            }
+        });
+        if (options.letterboxColor !== undefined) {
+            this.config.letterboxColor = options.letterboxColor;
+            if (this.uniforms) {
+                this.uniforms.letterbox.value.set(options.letterboxColor);
+            }
+        }
+
+        if (this.uniforms) {
+            const uniforms = this.uniforms;
+            const fromIndex = this.textures.indexOf(uniforms.texture1.value);
+            const toIndex = this.textures.indexOf(uniforms.texture2.value);
+            uniforms.focal1.value = this.getSlideFocalPoint(fromIndex);
+            uniforms.focal2.value = this.getSlideFocalPoint(toIndex);
+            uniforms.fit1.value = this.getSlideFit(fromIndex);
+            uniforms.fit2.value = this.getSlideFit(toIndex);
+            this.requestRender();
+        }
+    }
+
+    // Select the displacement texture assigned to a slide
+    applyDisplacement(index) {
+        const displacementIndex = this.getDisplacementIndex(index);
+        if (this.displacementTextures && this.displacementTextures[displacementIndex]) {
+            this.displacementTexture = this.displacementTextures[displacementIndex];
+            this.material.uniforms.displacement.value = this.displacementTexture;
+            this.requestRender();
+        }
+    }
+
+    // Advance the time-based transition (called every frame by animate while transitioning)
+    animateProgress() {
+        const elapsed = (Date.now() - this.startTime) / 1000;
+        // Reversed/retargeted transitions only cover the remaining distance
+        const duration = this.transitionDuration * (1 - this.startProgress);
+        let t = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+
+        // Apply easing; the blend can't overshoot, so springs are clamped to the slides
+        const eased = t >= 1 ? 1 : Math.max(0, Math.min(1, this.transitionEase(t)));
+
+        // Update progress
+        this.material.uniforms.progress.value = this.startProgress + (1 - this.startProgress) * eased;
+        this.emit('transitionprogress', {
+            from: this.currentIndex,
+            to: this.targetIndex,
+            progress: this.material.uniforms.progress.value
+        });
+
+        if (t >= 1) {
+            this.finishTransition();
+        }
+    }
+
+    finishTransition() {
+        // Transition complete
+        const fromIndex = this.currentIndex;
+        this.currentIndex = this.targetIndex;
+        this.isTransitioning = false;
+        this.isSettlingRetarget = false;
+        this.updateCanvasLabel();
+        
+        // Reset progress and update textures for next transition
+        this.material.uniforms.progress.value = 0;
+        const nextIndex = this.getAdjacentIndex(this.currentIndex, 1);
+        this.bindTextures(this.currentIndex, nextIndex);
+        this.releaseDistantVideos(this.currentIndex);
+
+        // Continue to the latest target requested while we were busy
+        const queuedIndex = this.queuedIndex;
+        const queuedOptions = this.queuedOptions;
+        this.queuedIndex = undefined;
+        this.queuedOptions = undefined;
+        this.emit('transitionend', { from: fromIndex, to: this.currentIndex });
+        if (queuedIndex !== undefined && queuedIndex !== this.currentIndex) {
+            this.requestTransition(queuedIndex, queuedOptions);
+        }
+        this.settleTransitions();
+    }
+
+    // Schedule a frame; the loop keeps running only while something is moving
+    requestRender() {
+        this.needsRender = true;
+        if (this.frameRequest || this.isDestroyed || this.isRenderPaused()) {
+            return;
+        }
+        this.frameRequest = requestAnimationFrame(() => this.animate());
+    }
+
+    animate() {
+        this.frameRequest = null;
+
+        const now = Date.now();
+        const deltaTime = this.lastFrameTime ? (now - this.lastFrameTime) / 1000 : 0;
+        this.lastFrameTime = now;
+
+        this.updateScrub(deltaTime);
+        if (this.isTransitioning) {
+            this.animateProgress();
+        }
+        this.updateVideoPlayback();
+
+        if (this.renderer && this.scene && this.camera) {
+            this.renderer.render(this.scene, this.camera);
+            this.emit('render', { time: now });
+        }
+        this.needsRender = false;
+
+        // Keep drawing while a transition, scrub or video playback is running
+        if (this.isTransitioning || this.isScrubbing || this.hasPlayingVideo()) {
+            this.requestRender();
+        } else {
+            // Idle: the next frame starts with a fresh delta
+            this.lastFrameTime = 0;
+        }
+    }
+
+    // Pause automatically while the canvas is off-screen or the tab is hidden
+    initVisibilityPausing() {
+        this.isPaused = false;
+        this.isHidden = typeof document !== 'undefined' && document.hidden === true;
+        this.isOffscreen = false;
+
+        this.handleVisibilityChange = () => {
+            this.isHidden = document.hidden;
+            this.updatePauseState();
+        };
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+        if (typeof IntersectionObserver !== 'undefined') {
+            this.intersectionObserver = new IntersectionObserver((entries) => {
+                this.isOffscreen = !entries[entries.length - 1].isIntersecting;
+                this.updatePauseState();
+            });
+            this.intersectionObserver.observe(this.config.parent);
+        }
+
+        this.wasRenderPaused = this.isRenderPaused();
+        this.pausedAt = this.wasRenderPaused ? Date.now() : null;
+        this.requestRender();
+    }
+
+    isRenderPaused() {
+        return this.isPaused || this.isHidden || this.isOffscreen || this.isContextLost;
+    }
+
+    // Stop or restart the loop when the pause state flips, keeping transitions time-consistent
+    updatePauseState() {
+        const paused = this.isRenderPaused();
+        if (paused === this.wasRenderPaused) {
+            return;
+        }
+        this.wasRenderPaused = paused;
+        this.updateAutoplayHold();
+
+        if (paused) {
+            this.pausedAt = Date.now();
+            if (this.frameRequest) {
+                cancelAnimationFrame(this.frameRequest);
+                this.frameRequest = null;
+            }
+            this.updateVideoPlayback();
+            return;
+        }
+
+        // Continue a running transition from where it stopped instead of jumping ahead
+        if (this.isTransitioning && this.pausedAt) {
+            this.startTime += Date.now() - this.pausedAt;
+        }
+        this.pausedAt = null;
+        this.lastFrameTime = 0;
+        this.requestRender();
+    }
+
+    // Stop rendering (e.g. for hidden sections) until resume() is called
+    pause() {
+        this.isPaused = true;
+        this.updatePauseState();
+    }
+
+    resume() {
+        this.isPaused = false;
+        this.updatePauseState();
     }
 
-    createMesh() {
-        const width = this.config.parent.offsetWidth;
-        const height = this.config.parent.offsetHeight;
-        const overscan = this.computeOverscanFactor();
+    // Hold the autoplay countdown while the slideshow is hovered or focused
+    initAutoplay() {
+        this.isAutoplaying = false;
+        this.autoplayTimer = null;
+        this.autoplayRemaining = null;
+        this.isHovered = false;
+        this.hasFocusWithin = false;
+
+        const target = this.config.autoplayPauseTarget || this.config.parent;
+        this.autoplayPauseTarget = target;
+        this.handleAutoplayHover = (e) => {
+            this.isHovered = e.type === 'mouseenter';
+            this.updateAutoplayHold();
+        };
+        this.handleAutoplayFocus = (e) => {
+            // focusout to an element that is still inside doesn't end the hold
+            this.hasFocusWithin = e.type === 'focusin' || target.contains(e.relatedTarget);
+            this.updateAutoplayHold();
+        };
+        target.addEventListener('mouseenter', this.handleAutoplayHover);
+        target.addEventListener('mouseleave', this.handleAutoplayHover);
+        target.addEventListener('focusin', this.handleAutoplayFocus);
+        target.addEventListener('focusout', this.handleAutoplayFocus);
 
-        const geometry = new THREE.PlaneGeometry(width * overscan, height * overscan, 1, 1);
-        this.mesh = new THREE.Mesh(geometry, this.material);
-        this.scene.add(this.mesh);
+        if (this.config.autoplay) {
+            this.startAutoplay();
+        }
     }
 
-    // Compute a geometry overscan factor so edges remain offscreen even during distortion
-    computeOverscanFactor() {
-        const base = 1.05; // small baseline to cover rounding
-        const extra = Math.min(0.6, this.config.intensity * 1.2); // grow with intensity, cap
-        return base + extra; // e.g. intensity 0.4 -> ~1.53x
+    // Advance automatically from the current slide (see config.autoplay)
+    startAutoplay() {
+        this.isAutoplaying = true;
+        this.resetAutoplayCountdown();
+        this.scheduleAutoplay();
     }
 
-    // Easing functions
-    easeInOut(t) {
-        return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+    stopAutoplay() {
+        this.isAutoplaying = false;
+        this.resetAutoplayCountdown();
     }
 
-    easeOut(t) {
-        return 1 - Math.pow(1 - t, 3);
+    isAutoplayHeld() {
+        return this.isRenderPaused() ||
+            (this.config.pauseOnHover && this.isHovered) ||
+            (this.config.pauseOnFocus && this.hasFocusWithin);
+    }
+
+    // Seconds to stay on a slide before advancing
+    getAutoplayDuration(index) {
+        const duration = this.config.autoplayDuration;
+        if (typeof duration === 'number') {
+            return duration;
+        }
+        return (duration && duration[index]) || 5;
     }
 
-    // Transition to next image (no wrap)
-    transitionToNext() {
-        if (this.isTransitioning || !this.material) {
+    // Start (or continue a held) countdown on the current slide once the engine is at rest
+    scheduleAutoplay() {
+        if (!this.isAutoplaying || this.autoplayTimer || !this.material || this.isDestroyed ||
+            this.isBusy() || this.isAutoplayHeld()) {
             return;
         }
-        const atLast = this.currentIndex >= this.config.images.length - 1;
-        if (atLast) {
+
+        const isLast = !this.config.loop && this.currentIndex >= this.config.images.length - 1;
+        if (isLast && this.config.autoplayEnd !== 'rewind') {
+            this.stopAutoplay();
+            this.emit('autoplayend', { index: this.currentIndex });
             return;
         }
-        const nextIndex = this.currentIndex + 1;
-        this.transitionTo(nextIndex);
+
+        const delay = this.autoplayRemaining !== null
+            ? this.autoplayRemaining
+            : this.getAutoplayDuration(this.currentIndex) * 1000;
+        this.autoplayDueAt = Date.now() + delay;
+        this.autoplayTimer = setTimeout(() => this.advanceAutoplay(), delay);
     }
 
-    // Transition to previous image (no wrap)
-    transitionToPrevious() {
-        if (this.isTransitioning || !this.material) {
+    // Freeze the countdown while held, continue it with the remaining time when released
+    updateAutoplayHold() {
+        if (!this.isAutoplayHeld()) {
+            this.scheduleAutoplay();
             return;
         }
-        const atFirst = this.currentIndex <= 0;
-        if (atFirst) {
-            return;
+        if (this.autoplayTimer) {
+            this.autoplayRemaining = Math.max(0, this.autoplayDueAt - Date.now());
+            clearTimeout(this.autoplayTimer);
+            this.autoplayTimer = null;
         }
-        const prevIndex = this.currentIndex - 1;
-        this.transitionTo(prevIndex);
     }
 
-    // Transition to specific index
-    transitionTo(targetIndex) {
-        if (this.isTransitioning || targetIndex === this.currentIndex || !this.material) {
+    // Drop the running countdown; the next one starts from the full slide duration
+    resetAutoplayCountdown() {
+        clearTimeout(this.autoplayTimer);
+        this.autoplayTimer = null;
+        this.autoplayRemaining = null;
+    }
+
+    advanceAutoplay() {
+        this.autoplayTimer = null;
+        this.autoplayRemaining = null;
+
+        // Only scheduled at rest, so the next slide is the one after the current
+        // (looping decks wrap in transitionToNext, no-loop decks rewind explicitly)
+        const fromIndex = this.currentIndex;
+        const isLast = !this.config.loop && fromIndex >= this.config.images.length - 1;
+        const targetIndex = isLast ? 0 : this.getAdjacentIndex(fromIndex, 1);
+        const transition = isLast ? this.transitionTo(0) : this.transitionToNext();
+
+        // Lets controllers mirror the change (state classes, content sections)
+        this.emit('autoplayadvance', { from: fromIndex, to: targetIndex, transition });
+    }
+
+    // Set the scrub target as a slide position between 0 and images.length - 1
+    setScrubPosition(position) {
+        if (this.config.progressMode !== 'scrub') {
+            console.warn('setScrubPosition: only available with progressMode "scrub"');
             return;
         }
-        
-        if (!this.textures[targetIndex]) {
-            console.error('Target texture not loaded:', targetIndex);
+        if (typeof position !== 'number' || isNaN(position)) {
             return;
         }
 
-        this.isTransitioning = true;
-        this.startTime = Date.now();
-        this.targetIndex = targetIndex;
+        const lastIndex = Math.max(0, this.config.images.length - 1);
+        this.targetProgress = Math.max(0, Math.min(position, lastIndex));
+        this.requestRender();
+    }
 
-        // Select displacement texture based on target index
-        const displacementIndex = this.getDisplacementIndex(targetIndex);
-        if (this.displacementTextures[displacementIndex]) {
-            this.displacementTexture = this.displacementTextures[displacementIndex];
-            this.material.uniforms.displacement.value = this.displacementTexture;
+    // Move the smoothed scrub position towards its target and map it onto the shader
+    updateScrub(deltaTime) {
+        if (this.config.progressMode !== 'scrub' || !this.material) {
+            return;
         }
 
-        // Update textures
-        this.material.uniforms.texture1.value = this.textures[this.currentIndex];
-        this.material.uniforms.texture2.value = this.textures[targetIndex];
-        this.material.uniforms.texRes1.value = this.textureResolutions[this.currentIndex] || this.material.uniforms.texRes1.value;
-        this.material.uniforms.texRes2.value = this.textureResolutions[targetIndex] || this.material.uniforms.texRes2.value;
+        const wasScrubbing = this.isScrubbing;
+        const distance = this.targetProgress - this.progress;
+        if (Math.abs(distance) < 0.0005) {
+            this.progress = this.targetProgress;
+        } else {
+            // Frame-rate independent exponential smoothing
+            const smoothing = Math.max(0, Math.min(this.config.scrubSmoothing, 1));
+            const factor = 1 - Math.pow(1 - smoothing, deltaTime * 60);
+            this.progress += distance * factor;
+        }
+        this.isScrubbing = this.progress !== this.targetProgress;
 
-        // Call callback if provided
-        if (this.config.onImageChange) {
-            this.config.onImageChange(targetIndex);
+        if (!wasScrubbing && this.isScrubbing) {
+            this.scrubStartIndex = this.currentIndex;
+            this.emit('transitionstart', { from: this.currentIndex, to: Math.round(this.targetProgress), scrub: true });
         }
 
-        // Animate progress
-        this.animateProgress();
-    }
+        // Report the slide that dominates the blend as current
+        const roundedIndex = Math.round(this.progress);
+        if (roundedIndex !== this.currentIndex) {
+            this.currentIndex = roundedIndex;
+            this.updateCanvasLabel();
+            this.prefetchAround(roundedIndex);
+            if (this.config.onImageChange) {
+                this.config.onImageChange(roundedIndex);
+            }
+        }
 
-    animateProgress() {
-        const elapsed = (Date.now() - this.startTime) / 1000;
-        const duration = this.config.transitionSpeed;
-        let t = Math.min(elapsed / duration, 1);
+        this.renderScrubPosition();
+        if (this.isScrubbing) {
+            this.emitScrubProgress();
+        }
 
-        // Apply easing
-        t = this.easeOut(t);
+        if (wasScrubbing && !this.isScrubbing) {
+            this.emit('transitionend', { from: this.scrubStartIndex, to: this.currentIndex, scrub: true });
+            this.settleTransitions();
+        }
+    }
 
-        // Update progress
-        this.material.uniforms.progress.value = t;
+    // Report scrub movement like a time-based transition: from the slide the scrub started on to
+    // the one it is heading for, plus the exact deck position (e.g. 2.5) since scrubs can turn around
+    emitScrubProgress() {
+        const targetIndex = Math.round(this.targetProgress);
+        const distance = targetIndex - this.scrubStartIndex;
+        const progress = distance !== 0 ? (this.progress - this.scrubStartIndex) / distance : 1;
+        this.emit('transitionprogress', {
+            from: this.scrubStartIndex,
+            to: targetIndex,
+            progress: Math.max(0, Math.min(1, progress)),
+            position: this.progress,
+            scrub: true
+        });
+    }
 
-        if (t < 1) {
-            requestAnimationFrame(() => this.animateProgress());
-        } else {
-            // Transition complete
-            this.currentIndex = this.targetIndex;
-            this.isTransitioning = false;
-            
-            // Reset progress and update textures for next transition
-            this.material.uniforms.progress.value = 0;
-            const nextIndex = Math.min(this.currentIndex + 1, this.config.images.length - 1);
-            this.material.uniforms.texture1.value = this.textures[this.currentIndex];
-            this.material.uniforms.texture2.value = this.textures[nextIndex];
-            this.material.uniforms.texRes1.value = this.textureResolutions[this.currentIndex] || this.material.uniforms.texRes1.value;
-            this.material.uniforms.texRes2.value = this.textureResolutions[nextIndex] || this.material.uniforms.texRes2.value;
+    // Map the smoothed scrub position onto the slide pair being blended and the blend amount
+    renderScrubPosition() {
+        const lastIndex = this.config.images.length - 1;
+        const fromIndex = Math.min(Math.floor(this.progress), lastIndex);
+        const toIndex = Math.min(fromIndex + 1, lastIndex);
+        if (!this.textures[fromIndex] || !this.textures[toIndex]) {
+            // Rendered again from onImageLoaded once they arrive
+            this.loadTexture(fromIndex);
+            this.loadTexture(toIndex);
+            return;
         }
+
+        this.useEffect(this.getEffectForTransition(toIndex));
+        this.applyDisplacement(toIndex);
+        this.bindTextures(fromIndex, toIndex);
+        this.material.uniforms.progress.value = toIndex > fromIndex ? this.progress - fromIndex : 0;
     }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
-        if (this.renderer && this.scene && this.camera) {
-            this.renderer.render(this.scene, this.camera);
+    // Drive scrub mode from page scroll: scrolling through the element maps to slides 0..N-1
+    bindScroll(element) {
+        this.unbindScroll();
+        this.scrubElement = element;
+
+        this.handleScrubScroll = () => {
+            const rect = this.scrubElement.getBoundingClientRect();
+            // Sticky sections scroll for (height - viewport); plain sections for their own height
+            const range = rect.height > window.innerHeight ? rect.height - window.innerHeight : rect.height;
+            const ratio = range > 0 ? Math.max(0, Math.min(-rect.top / range, 1)) : 0;
+            this.setScrubPosition(ratio * (this.config.images.length - 1));
+        };
+
+        window.addEventListener('scroll', this.handleScrubScroll, { passive: true });
+        window.addEventListener('resize', this.handleScrubScroll);
+        this.handleScrubScroll();
+    }
+
+    unbindScroll() {
+        if (this.handleScrubScroll) {
+            window.removeEventListener('scroll', this.handleScrubScroll, { passive: true });
+            window.removeEventListener('resize', this.handleScrubScroll);
+            this.handleScrubScroll = null;
         }
     }
 
     handleResize() {
-        const width = this.config.parent.offsetWidth;
-        const height = this.config.parent.offsetHeight;
+        // The pixel ratio changes when moving between screens or zooming
+        this.applyViewportSize(this.config.parent.offsetWidth, this.config.parent.offsetHeight, this.getPixelRatio());
+
+        // Pick up sharper sources once resizing settles
+        clearTimeout(this.sourceRefreshTimer);
+        this.sourceRefreshTimer = setTimeout(() => this.refreshResponsiveSources(), 250);
+
+        this.requestRender();
+    }
 
+    // Fit camera, drawing buffer, resolution uniform and mesh to a viewport of width x height
+    // CSS pixels (updateStyle false leaves the canvas' CSS size alone, e.g. for frame exports)
+    applyViewportSize(width, height, pixelRatio, updateStyle) {
         // Update camera
         this.camera.left = width / -2;
         this.camera.right = width / 2;
@@ -411,7 +1945,8 @@ class ScrollDistortionEffect {
         this.camera.updateProjectionMatrix();
 
         // Update renderer
-        this.renderer.setSize(width, height);
+        this.renderer.setPixelRatio(pixelRatio);
+        this.renderer.setSize(width, height, updateStyle);
 
         // Update material uniforms
         if (this.material) {
@@ -422,7 +1957,7 @@ class ScrollDistortionEffect {
         if (this.mesh) {
             this.mesh.geometry.dispose();
             const overscan = this.computeOverscanFactor();
-            this.mesh.geometry = new THREE.PlaneGeometry(width * overscan, height * overscan, 1, 1);
+            this.mesh.geometry = new this.three.PlaneGeometry(width * overscan, height * overscan, 1, 1);
         }
     }
 
@@ -438,8 +1973,9 @@ class ScrollDistortionEffect {
             const height = this.config.parent.offsetHeight;
             this.mesh.geometry.dispose();
             const overscan = this.computeOverscanFactor();
-            this.mesh.geometry = new THREE.PlaneGeometry(width * overscan, height * overscan, 1, 1);
+            this.mesh.geometry = new this.three.PlaneGeometry(width * overscan, height * overscan, 1, 1);
         }
+        this.requestRender();
     }
 
     // Update transition speed
@@ -447,6 +1983,11 @@ class ScrollDistortionEffect {
         this.config.transitionSpeed = value;
     }
 
+    // Update easing (applies from the next transition)
+    setEasing(easing) {
+        this.config.easing = easing;
+    }
+
     // Update displacement maps dynamically (accepts array of URLs)
     setDisplacementImages(urls) {
         if (!Array.isArray(urls) || urls.length === 0) {
@@ -454,7 +1995,7 @@ class ScrollDistortionEffect {
             return;
         }
 
-        const loader = new THREE.TextureLoader();
+        const loader = new this.three.TextureLoader();
         loader.crossOrigin = 'anonymous';
         const self = this;
         let loadedCount = 0;
@@ -469,6 +2010,8 @@ class ScrollDistortionEffect {
 
         this.displacementTextures = [];
         this.config.displacementImages = urls;
+        this.warnedDisplacementIndices = {};
+        this.validateDisplacementMapping();
 
         urls.forEach((url, index) => {
             // Skip if displacement URL is invalid
@@ -480,8 +2023,8 @@ class ScrollDistortionEffect {
             loader.load(
                 url,
                 function(texture) {
-                    texture.wrapS = THREE.ClampToEdgeWrapping;
-                    texture.wrapT = THREE.ClampToEdgeWrapping;
+                    texture.wrapS = self.three.ClampToEdgeWrapping;
+                    texture.wrapT = self.three.ClampToEdgeWrapping;
                     self.displacementTextures[index] = texture;
                     
                     // Use first as default
@@ -489,17 +2032,46 @@ class ScrollDistortionEffect {
                         self.displacementTexture = texture;
                         if (self.material) {
                             self.material.uniforms.displacement.value = texture;
+                            self.requestRender();
                         }
                     }
                 },
                 undefined,
                 function(error) {
                     console.error(`Failed to load displacement map ${index}:`, url, error);
+                    self.emit('error', { type: 'displacement', index, url, error });
                 }
             );
         });
     }
 
+    // Subscribe to 'transitionstart', 'transitionprogress', 'transitionend', 'loadprogress', 'error',
+    // 'contextlost', 'contextrestored', 'autoplayadvance', 'autoplayend' or 'render' (every drawn frame)
+    on(type, handler) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(handler);
+        return this;
+    }
+
+    off(type, handler) {
+        if (this.listeners[type]) {
+            this.listeners[type] = this.listeners[type].filter(listener => listener !== handler);
+        }
+        return this;
+    }
+
+    emit(type, detail) {
+        (this.listeners[type] || []).slice().forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Error in "${type}" listener:`, error);
+            }
+        });
+    }
+
     // Get current index
     getCurrentIndex() {
         return this.currentIndex;
@@ -507,85 +2079,241 @@ class ScrollDistortionEffect {
 
     // Check if transitioning
     isInTransition() {
-        return this.isTransitioning;
+        return this.isTransitioning || this.isScrubbing;
+    }
+
+    // Render fromIndex -> toIndex at an explicit blend progress (0-1) and encode it, independent of
+    // the running animation. options: width/height (output pixels, default the canvas' CSS size),
+    // effect, type ('image/png'), quality, format 'blob' (default) or 'dataURL'.
+    // Resolves null when the frame can't be rendered.
+    renderFrame(fromIndex, toIndex, progress, options = {}) {
+        return this.loadFrameTextures(fromIndex, toIndex).then((ready) => {
+            const canvas = ready ? this.captureFrame(fromIndex, toIndex, progress, options) : null;
+            return canvas ? ScrollDistortionEffect.encodeCanvas(canvas, options) : null;
+        });
+    }
+
+    // Step a whole transition at options.fps (default 30) and resolve with one encoded image per
+    // frame, first to last. options.duration and options.easing default to the configured ones;
+    // the other options are renderFrame's.
+    renderTransitionFrames(fromIndex, toIndex, options = {}) {
+        return this.loadFrameTextures(fromIndex, toIndex).then((ready) => {
+            if (!ready) {
+                return null;
+            }
+            // One frame at a time so only one output canvas is alive
+            return this.getFrameProgressValues(options).reduce((chain, progress) => chain.then((frames) => {
+                const canvas = this.captureFrame(fromIndex, toIndex, progress, options);
+                if (!canvas) {
+                    return frames;
+                }
+                return ScrollDistortionEffect.encodeCanvas(canvas, options).then((frame) => {
+                    frames.push(frame);
+                    return frames;
+                });
+            }), Promise.resolve([]));
+        });
+    }
+
+    // Record a transition as a WebM (canvas.captureStream + MediaRecorder). Frames are rendered
+    // deterministically but pushed to the recorder in real time at options.fps, so recording takes
+    // as long as the transition. Also takes mimeType ('video/webm'), videoBitsPerSecond and
+    // renderTransitionFrames' options. Resolves with the video Blob, or null.
+    recordTransition(fromIndex, toIndex, options = {}) {
+        const canvas = document.createElement('canvas');
+        if (typeof canvas.captureStream !== 'function' || typeof MediaRecorder === 'undefined') {
+            console.error('recordTransition: canvas.captureStream and MediaRecorder are not supported here');
+            return Promise.resolve(null);
+        }
+        const mimeType = options.mimeType || 'video/webm';
+        if (MediaRecorder.isTypeSupported && !MediaRecorder.isTypeSupported(mimeType)) {
+            console.error('recordTransition: unsupported video type', mimeType);
+            return Promise.resolve(null);
+        }
+
+        return this.loadFrameTextures(fromIndex, toIndex).then((ready) => {
+            if (!ready) {
+                return null;
+            }
+
+            const progressValues = this.getFrameProgressValues(options);
+            const frameOptions = Object.assign({}, options, { canvas });
+            const frameInterval = 1000 / (options.fps || 30);
+
+            // Draw the first frame before the stream starts so the video doesn't open blank;
+            // a 0 fps stream only takes frames when asked (requestFrame)
+            this.captureFrame(fromIndex, toIndex, progressValues[0], frameOptions);
+            const stream = canvas.captureStream(0);
+            const track = stream.getVideoTracks()[0];
+            const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: options.videoBitsPerSecond });
+            const chunks = [];
+            recorder.ondataavailable = (e) => {
+                if (e.data && e.data.size > 0) {
+                    chunks.push(e.data);
+                }
+            };
+
+            return new Promise((resolve) => {
+                recorder.onstop = () => {
+                    stream.getTracks().forEach(streamTrack => streamTrack.stop());
+                    resolve(new Blob(chunks, { type: mimeType }));
+                };
+                recorder.start();
+
+                let frame = 0;
+                const pushFrame = () => {
+                    if (frame >= progressValues.length || this.isDestroyed) {
+                        recorder.stop();
+                        return;
+                    }
+                    this.captureFrame(fromIndex, toIndex, progressValues[frame], frameOptions);
+                    if (track && track.requestFrame) {
+                        track.requestFrame();
+                    }
+                    frame++;
+                    setTimeout(pushFrame, frameInterval);
+                };
+                pushFrame();
+            });
+        });
+    }
+
+    // Make sure both slides of an exported transition are loaded (retrying earlier failures)
+    loadFrameTextures(fromIndex, toIndex) {
+        if (!this.material) {
+            console.error('Frame export: the effect is not ready yet');
+            return Promise.resolve(false);
+        }
+
+        const loads = [fromIndex, toIndex].map((index) => {
+            if (this.failedTextures[index]) {
+                this.failedTextures[index] = false;
+                this.texturePromises[index] = null;
+            }
+            return this.loadTexture(index);
+        });
+        return Promise.all(loads).then((textures) => {
+            if (textures.some(texture => !texture)) {
+                console.error('Frame export: slide textures could not be loaded:', fromIndex, toIndex);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    // Blend progress of each frame when stepping a transition at a fixed frame rate
+    // (eased and clamped like animateProgress)
+    getFrameProgressValues(options) {
+        const easing = this.resolveEasing(options.easing || this.config.easing);
+        const duration = options.duration || easing.duration || this.config.transitionSpeed;
+        const frameCount = Math.max(1, Math.round(duration * (options.fps || 30)));
+        const values = [];
+        for (let frame = 0; frame <= frameCount; frame++) {
+            const t = frame / frameCount;
+            values.push(t >= 1 ? 1 : Math.max(0, Math.min(1, easing.ease(t))));
+        }
+        return values;
+    }
+
+    // Draw one transition frame at the output size into a 2D canvas (options.canvas or a new one),
+    // then put the live view back as it was. Textures must be loaded. Returns the canvas, or null.
+    captureFrame(fromIndex, toIndex, progress, options) {
+        if (!this.material || this.isContextLost) {
+            console.error('Frame export: nothing to render (effect not ready or WebGL context lost)');
+            return null;
+        }
+
+        const width = Math.round(options.width || this.config.parent.offsetWidth);
+        const height = Math.round(options.height || this.config.parent.offsetHeight);
+        const canvas = options.canvas || document.createElement('canvas');
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        // Remember the live shader state; bindTextures/applyDisplacement replace these values
+        const uniforms = this.uniforms;
+        const savedUniforms = {};
+        ['texture1', 'texture2', 'texRes1', 'texRes2', 'focal1', 'focal2', 'fit1', 'fit2', 'displacement', 'progress']
+            .forEach((name) => {
+                savedUniforms[name] = uniforms[name].value;
+            });
+        const savedDisplacement = this.displacementTexture;
+        const savedEffect = this.activeEffect;
+
+        // Like getEffectForTransition, but exports always show the real effect (no reduced motion)
+        const slideEffects = this.config.slideEffects;
+        const effect = options.effect || (slideEffects && slideEffects[toIndex]) || this.config.effect;
+
+        this.applyViewportSize(width, height, 1, false);
+        this.useEffect(this.resolveEffectName(effect));
+        this.applyDisplacement(toIndex);
+        this.bindTextures(fromIndex, toIndex);
+        uniforms.progress.value = Math.max(0, Math.min(1, progress));
+        this.renderer.render(this.scene, this.camera);
+
+        // Copy while the drawing buffer is still valid (no preserveDrawingBuffer needed)
+        const context = canvas.getContext('2d');
+        if (context) {
+            context.drawImage(this.renderer.domElement, 0, 0, width, height);
+        }
+
+        Object.keys(savedUniforms).forEach((name) => {
+            uniforms[name].value = savedUniforms[name];
+        });
+        this.displacementTexture = savedDisplacement;
+        this.useEffect(savedEffect);
+        this.applyViewportSize(this.config.parent.offsetWidth, this.config.parent.offsetHeight, this.getPixelRatio());
+
+        // Resizing cleared the live canvas: redraw it before the browser paints
+        this.renderer.render(this.scene, this.camera);
+        return canvas;
+    }
+
+    // Encode a canvas as options.format 'blob' (default) or 'dataURL', as options.type ('image/png')
+    static encodeCanvas(canvas, options) {
+        const type = options.type || 'image/png';
+        if (options.format === 'dataURL') {
+            return Promise.resolve(canvas.toDataURL(type, options.quality));
+        }
+        return new Promise(resolve => canvas.toBlob(resolve, type, options.quality));
     }
 
     // Load images from array of URLs (for 13 images setup)
+    // Resolves (and calls onComplete) once the current slide and its preload window have settled
+    // (every slide when not lazy loading)
     setImages(imageUrls, onComplete) {
         if (!Array.isArray(imageUrls) || imageUrls.length === 0) {
             console.error('setImages: Invalid imageUrls array');
             if (onComplete) onComplete();
-            return;
+            return Promise.resolve();
         }
 
-        const loader = new THREE.TextureLoader();
-        loader.crossOrigin = 'anonymous';
-        
         // Dispose old textures if they exist
         if (this.textures && this.textures.length > 0) {
             this.textures.forEach(texture => {
-                if (texture) texture.dispose();
+                if (texture) this.disposeTexture(texture);
             });
         }
 
-        // Initialize new arrays
+        // Initialize new arrays; loads still in flight for the old images are discarded
+        this.loadGeneration++;
         this.textures = [];
         this.textureResolutions = [];
+        this.textureSourceSizes = [];
+        this.upgradingSources = [];
+        this.texturePromises = [];
+        this.failedTextures = [];
+        this.pendingTargetIndex = undefined;
         this.config.images = imageUrls;
-        let loadedImageCount = 0;
-        const self = this;
-        const totalImages = imageUrls.length;
-        let hasCalledComplete = false;
-
-        const checkComplete = () => {
-            if (loadedImageCount === totalImages && !hasCalledComplete) {
-                hasCalledComplete = true;
-                if (onComplete) onComplete();
-            }
-        };
+        this.warnedDisplacementIndices = {};
+        this.validateDisplacementMapping();
 
-        imageUrls.forEach((imageSrc, index) => {
-            loader.load(
-                imageSrc,
-                (texture) => {
-                    texture.minFilter = THREE.LinearFilter;
-                    texture.magFilter = THREE.LinearFilter;
-                    texture.wrapS = THREE.ClampToEdgeWrapping;
-                    texture.wrapT = THREE.ClampToEdgeWrapping;
-                    self.textures[index] = texture;
-                    if (texture.image) {
-                        self.textureResolutions[index] = new THREE.Vector2(texture.image.width, texture.image.height);
-                    }
-                    loadedImageCount++;
+        const startIndex = this.pendingInitialIndex !== undefined ? this.pendingInitialIndex : this.currentIndex;
+        this.currentIndex = Math.min(this.currentIndex, imageUrls.length - 1);
 
-                    // If we have at least 2 images and at least one displacement loaded, we can initialize
-                    if (loadedImageCount >= 2 && self.displacementTexture) {
-                        // Update material textures if it exists
-                        if (self.material) {
-                            // Check if there's a pending initial image index
-                            if (self.pendingInitialIndex !== undefined) {
-                                self.applyInitialImage(self.pendingInitialIndex);
-                                self.pendingInitialIndex = undefined;
-                            } else {
-                                self.material.uniforms.texture1.value = self.textures[0];
-                                self.material.uniforms.texture2.value = self.textures[Math.min(1, totalImages - 1)];
-                                self.material.uniforms.texRes1.value = self.textureResolutions[0] || new THREE.Vector2(1920, 1080);
-                                self.material.uniforms.texRes2.value = self.textureResolutions[Math.min(1, totalImages - 1)] || new THREE.Vector2(1920, 1080);
-                            }
-                        } else {
-                            self.onTexturesLoaded();
-                        }
-                    }
-                    
-                    checkComplete();
-                },
-                undefined,
-                (error) => {
-                    console.error(`Failed to load image ${index}:`, imageSrc, error);
-                    loadedImageCount++;
-                    checkComplete();
-                }
-            );
+        return this.prefetchAround(Math.min(startIndex, imageUrls.length - 1)).then(() => {
+            if (onComplete) onComplete();
         });
     }
 
@@ -596,15 +2324,15 @@ class ScrollDistortionEffect {
 
         // If material and textures are ready, set them immediately
         if (this.material && this.textures && this.textures.length > 0 && this.textures[safeIndex]) {
+            this.pendingInitialIndex = undefined;
             this.applyInitialImage(safeIndex);
             return;
         }
 
-        // Otherwise, wait for textures to load
+        // Otherwise, wait for the texture to load
         // This will be handled when textures finish loading
-        if (!this.pendingInitialIndex) {
-            this.pendingInitialIndex = safeIndex;
-        }
+        this.pendingInitialIndex = safeIndex;
+        this.prefetchAround(safeIndex);
     }
 
     // Internal method to apply initial image (called when textures are ready)
@@ -623,50 +2351,423 @@ class ScrollDistortionEffect {
         }
         
         // Set displacement texture based on initial index
-        const displacementIndex = this.getDisplacementIndex(safeIndex);
-        if (this.displacementTextures && this.displacementTextures[displacementIndex]) {
-            this.displacementTexture = this.displacementTextures[displacementIndex];
-            this.material.uniforms.displacement.value = this.displacementTexture;
-        }
+        this.applyDisplacement(safeIndex);
         
-        // Set textures without transition
-        this.material.uniforms.texture1.value = this.textures[safeIndex];
-        const nextIndex = Math.min(safeIndex + 1, this.config.images.length - 1);
-        if (this.textures[nextIndex]) {
-            this.material.uniforms.texture2.value = this.textures[nextIndex];
-            this.material.uniforms.texRes2.value = this.textureResolutions[nextIndex] || new THREE.Vector2(1920, 1080);
-        } else {
-            // If next texture isn't loaded, use current one for texture2 as well
-            this.material.uniforms.texture2.value = this.textures[safeIndex];
-            this.material.uniforms.texRes2.value = this.textureResolutions[safeIndex] || new THREE.Vector2(1920, 1080);
-        }
-        this.material.uniforms.texRes1.value = this.textureResolutions[safeIndex] || new THREE.Vector2(1920, 1080);
+        // Set textures without transition (texture2 falls back to the current one if next isn't loaded)
+        const nextIndex = this.getAdjacentIndex(safeIndex, 1);
+        this.bindTextures(safeIndex, nextIndex);
         this.material.uniforms.progress.value = 0;
         this.currentIndex = safeIndex;
+        this.updateCanvasLabel();
+        this.requestRender();
+
+        // Start scrubbing from the initial slide instead of sliding in from 0
+        if (this.config.progressMode === 'scrub') {
+            this.progress = safeIndex;
+            this.targetProgress = safeIndex;
+        }
+
+        // Get the neighbours ready
+        this.prefetchAround(safeIndex);
     }
 
     // Destroy and cleanup
     destroy() {
         window.removeEventListener('resize', this.handleResize);
+        clearTimeout(this.sourceRefreshTimer);
+        this.stopAutoplay();
+        this.autoplayPauseTarget.removeEventListener('mouseenter', this.handleAutoplayHover);
+        this.autoplayPauseTarget.removeEventListener('mouseleave', this.handleAutoplayHover);
+        this.autoplayPauseTarget.removeEventListener('focusin', this.handleAutoplayFocus);
+        this.autoplayPauseTarget.removeEventListener('focusout', this.handleAutoplayFocus);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        if (this.intersectionObserver) {
+            this.intersectionObserver.disconnect();
+        }
+        this.isDestroyed = true;
+        if (this.frameRequest) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+        this.cancelTransition();
+        this.unbindScroll();
+        this.settleTransitions();
         
         if (this.mesh) {
             this.mesh.geometry.dispose();
-            this.material.dispose();
             this.scene.remove(this.mesh);
         }
+        if (this.materials) {
+            Object.keys(this.materials).forEach(name => this.materials[name].dispose());
+        }
         
-        this.textures.forEach(texture => texture.dispose());
+        this.textures.forEach(texture => {
+            if (texture) this.disposeTexture(texture);
+        });
         if (this.displacementTextures && this.displacementTextures.length > 0) {
             this.displacementTextures.forEach(texture => {
                 if (texture) texture.dispose();
             });
         }
         
+        this.renderer.domElement.removeEventListener('webglcontextlost', this.handleContextLost);
+        this.renderer.domElement.removeEventListener('webglcontextrestored', this.handleContextRestored);
         this.renderer.dispose();
         this.config.parent.removeChild(this.renderer.domElement);
     }
 }
 
+// Renderer stand-in for browsers without WebGL: mirrors the parts of THREE.WebGLRenderer
+// the effect uses and draws the bound slides as a fitted crossfade on a 2D canvas
+class Canvas2DFallbackRenderer {
+    constructor() {
+        this.domElement = document.createElement('canvas');
+        this.context = this.domElement.getContext('2d');
+        this.pixelRatio = 1;
+        this.width = 0;
+        this.height = 0;
+        this.clearColor = '#000000';
+    }
+
+    setClearColor(color) {
+        this.clearColor = '#' + ('000000' + color.toString(16)).slice(-6);
+    }
+
+    setPixelRatio(ratio) {
+        this.pixelRatio = ratio || 1;
+        this.setSize(this.width, this.height);
+    }
+
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.domElement.width = Math.round(width * this.pixelRatio);
+        this.domElement.height = Math.round(height * this.pixelRatio);
+        this.domElement.style.width = width + 'px';
+        this.domElement.style.height = height + 'px';
+    }
+
+    // Draw the mesh's from/to textures using the shader's progress uniform
+    render(scene) {
+        const ctx = this.context;
+        if (!ctx) {
+            return;
+        }
+
+        const canvas = this.domElement;
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = this.clearColor;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        const mesh = scene.children.find(child => child.material && child.material.uniforms);
+        if (!mesh) {
+            return;
+        }
+
+        const uniforms = mesh.material.uniforms;
+        const progress = Math.max(0, Math.min(1, uniforms.progress.value));
+        const letterbox = uniforms.letterbox.value.getStyle();
+        if (progress < 1) {
+            this.drawFitted(uniforms.texture1.value, uniforms.focal1.value, uniforms.fit1.value, letterbox, 1);
+        }
+        if (progress > 0) {
+            this.drawFitted(uniforms.texture2.value, uniforms.focal2.value, uniforms.fit2.value, letterbox, progress);
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    // Same framing as the shader's fitUV: cover/contain/fill anchored at the focal point
+    drawFitted(texture, focal, fit, letterbox, alpha) {
+        const image = texture && texture.image;
+        if (!image) {
+            return;
+        }
+        const imageWidth = image.videoWidth || image.naturalWidth || image.width;
+        const imageHeight = image.videoHeight || image.naturalHeight || image.height;
+        if (!imageWidth || !imageHeight) {
+            return;
+        }
+
+        const canvas = this.domElement;
+        const containerAspect = canvas.width / canvas.height;
+        const imageAspect = imageWidth / imageHeight;
+
+        // Fraction of the image shown along each axis (above 1 when letterboxed)
+        let scaleX = 1;
+        let scaleY = 1;
+        if (fit !== FIT_MODES.fill) {
+            if ((containerAspect > imageAspect) === (fit === FIT_MODES.cover)) {
+                scaleY = imageAspect / containerAspect;
+            } else {
+                scaleX = containerAspect / imageAspect;
+            }
+        }
+
+        // Canvas y runs top-down, focal points are in UV space (bottom-up)
+        const axis = (scale, anchor, imageSize, canvasSize) => scale <= 1
+            ? { source: [imageSize * anchor * (1 - scale), imageSize * scale], target: [0, canvasSize] }
+            : { source: [0, imageSize], target: [canvasSize * anchor * (1 - 1 / scale), canvasSize / scale] };
+        const x = axis(scaleX, focal.x, imageWidth, canvas.width);
+        const y = axis(scaleY, 1 - focal.y, imageHeight, canvas.height);
+
+        this.context.globalAlpha = alpha;
+        if (scaleX > 1 || scaleY > 1) {
+            this.context.fillStyle = letterbox;
+            this.context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        this.context.drawImage(
+            image,
+            x.source[0],
+            y.source[0],
+            x.source[1],
+            y.source[1],
+            x.target[0],
+            y.target[0],
+            x.target[1],
+            y.target[1]
+        );
+    }
+
+    dispose() {}
+}
+
+// One WebGL context for several effect instances. Each instance gets a view: a 2D canvas in its
+// own parent. A view's frame is rendered into the corner of the shared drawing buffer
+// (viewport + scissor) and copied onto its canvas, so textures, materials and transition
+// state stay per instance and the page holds a single live context.
+class SharedWebGLRenderer {
+    constructor(three, options) {
+        this.three = three || (typeof THREE !== 'undefined' ? THREE : null);
+        this.rendererOptions = Object.assign({ antialias: false, alpha: false }, options);
+        this.renderer = null;
+        this.views = [];
+        this.bufferWidth = 0;
+        this.bufferHeight = 0;
+    }
+
+    // Page-wide instance used by sharedRenderer: true
+    static getDefault(three) {
+        if (!SharedWebGLRenderer.defaultInstance) {
+            SharedWebGLRenderer.defaultInstance = new SharedWebGLRenderer(three);
+        }
+        return SharedWebGLRenderer.defaultInstance;
+    }
+
+    // Throws like THREE.WebGLRenderer when WebGL is unavailable (the effect then falls back)
+    createView() {
+        if (!this.renderer) {
+            this.initRenderer();
+        }
+        const view = new SharedWebGLRendererView(this);
+        this.views.push(view);
+        return view;
+    }
+
+    initRenderer() {
+        this.renderer = new this.three.WebGLRenderer(this.rendererOptions);
+        this.renderer.setPixelRatio(1);
+        this.renderer.setScissorTest(true);
+
+        // Context loss affects every view: pass the events on so each effect pauses and rebuilds
+        this.handleContextLost = (e) => {
+            e.preventDefault();
+            this.dispatchToViews('webglcontextlost');
+        };
+        this.handleContextRestored = () => this.dispatchToViews('webglcontextrestored');
+        this.renderer.domElement.addEventListener('webglcontextlost', this.handleContextLost);
+        this.renderer.domElement.addEventListener('webglcontextrestored', this.handleContextRestored);
+    }
+
+    dispatchToViews(type) {
+        this.views.forEach(view => view.domElement.dispatchEvent(new Event(type, { cancelable: true })));
+    }
+
+    // Render a view's scene into the bottom-left corner of the buffer and copy it to the view's canvas
+    renderView(view, scene, camera) {
+        const width = view.domElement.width;
+        const height = view.domElement.height;
+        if (!this.renderer || !view.context || !width || !height) {
+            return;
+        }
+
+        // Grow (never shrink) the drawing buffer to fit the largest view
+        if (width > this.bufferWidth || height > this.bufferHeight) {
+            this.bufferWidth = Math.max(width, this.bufferWidth);
+            this.bufferHeight = Math.max(height, this.bufferHeight);
+            this.renderer.setSize(this.bufferWidth, this.bufferHeight, false);
+        }
+
+        this.renderer.setViewport(0, 0, width, height);
+        this.renderer.setScissor(0, 0, width, height);
+        this.renderer.setClearColor(view.clearColor, view.clearAlpha);
+        this.renderer.render(scene, camera);
+
+        // GL rows start at the bottom, canvas rows at the top
+        view.context.drawImage(
+            this.renderer.domElement,
+            0,
+            this.bufferHeight - height,
+            width,
+            height,
+            0,
+            0,
+            width,
+            height
+        );
+    }
+
+    // Drop a view; the context itself is released with the last one
+    releaseView(view) {
+        this.views = this.views.filter(other => other !== view);
+        if (this.views.length > 0 || !this.renderer) {
+            return;
+        }
+
+        this.renderer.domElement.removeEventListener('webglcontextlost', this.handleContextLost);
+        this.renderer.domElement.removeEventListener('webglcontextrestored', this.handleContextRestored);
+        this.renderer.dispose();
+        this.renderer = null;
+        this.bufferWidth = 0;
+        this.bufferHeight = 0;
+    }
+}
+
+// Renderer handed to one effect instance by SharedWebGLRenderer
+class SharedWebGLRendererView {
+    constructor(shared) {
+        this.shared = shared;
+        this.domElement = document.createElement('canvas');
+        this.context = this.domElement.getContext('2d');
+        this.pixelRatio = 1;
+        this.width = 0;
+        this.height = 0;
+        this.clearColor = 0x000000;
+        this.clearAlpha = 1;
+    }
+
+    setClearColor(color, alpha) {
+        this.clearColor = color;
+        this.clearAlpha = alpha !== undefined ? alpha : 1;
+    }
+
+    setPixelRatio(ratio) {
+        this.pixelRatio = ratio || 1;
+        this.setSize(this.width, this.height);
+    }
+
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.domElement.width = Math.round(width * this.pixelRatio);
+        this.domElement.height = Math.round(height * this.pixelRatio);
+        this.domElement.style.width = width + 'px';
+        this.domElement.style.height = height + 'px';
+    }
+
+    render(scene, camera) {
+        this.shared.renderView(this, scene, camera);
+    }
+
+    // Scene resources belong to the effect (it disposes them); only the view is released here
+    dispose() {
+        this.shared.releaseView(this);
+    }
+}
+
+ScrollDistortionEffect.FallbackRenderer = Canvas2DFallbackRenderer;
+ScrollDistortionEffect.SharedRenderer = SharedWebGLRenderer;
+
+// Built-in transition effects (see ScrollDistortionEffect.registerEffect)
+ScrollDistortionEffect.effects = {
+    // Displacement-map distortion (the original effect)
+    displacement: `
+        vec4 transition(vec2 uv) {
+            // Get displacement value
+            vec4 disp = texture2D(displacement, uv);
+
+            // Calculate distortion amount based on progress
+            float distortionAmount = intensity * (1.0 - abs(progress - 0.5) * 2.0);
+            vec2 offset = (disp.rg - 0.5) * distortionAmount;
+
+            // Distort both images in opposite directions and mix based on progress
+            vec4 color1 = getFromColor(uv + offset * progress);
+            vec4 color2 = getToColor(uv - offset * (1.0 - progress));
+            return mix(color1, color2, progress);
+        }
+    `,
+
+    // Plain crossfade without distortion
+    crossfade: `
+        vec4 transition(vec2 uv) {
+            return mix(getFromColor(uv), getToColor(uv), progress);
+        }
+    `,
+
+    // Concentric waves from the centre
+    ripple: `
+        vec4 transition(vec2 uv) {
+            vec2 dir = uv - 0.5;
+            float dist = length(dir);
+            float strength = intensity * 0.1 * sin(progress * 3.14159265);
+            vec2 offset = dir / max(dist, 0.0001) * sin(dist * 40.0 - progress * 20.0) * strength;
+            return mix(getFromColor(uv + offset), getToColor(uv - offset), progress);
+        }
+    `,
+
+    // Horizontal slices wiping in with staggered delays
+    slice: `
+        vec4 transition(vec2 uv) {
+            float slices = 8.0;
+            float delay = fract(sin(floor(uv.y * slices) * 12.9898) * 43758.5453) * 0.3;
+            float edge = progress * 1.4 - 0.05 - delay;
+            float softness = 0.01 + intensity * 0.1;
+            float mask = smoothstep(uv.x - softness, uv.x, edge);
+            return mix(getFromColor(uv), getToColor(uv), mask);
+        }
+    `,
+
+    // Radial zoom blur peaking mid-transition
+    zoomBlur: `
+        vec4 transition(vec2 uv) {
+            float strength = intensity * 0.3 * sin(progress * 3.14159265);
+            vec2 toCenter = 0.5 - uv;
+            vec4 fromColor = vec4(0.0);
+            vec4 toColor = vec4(0.0);
+            for (int i = 0; i < 12; i++) {
+                vec2 sampleUv = uv + toCenter * (float(i) / 11.0) * strength;
+                fromColor += getFromColor(sampleUv);
+                toColor += getToColor(sampleUv);
+            }
+            return mix(fromColor / 12.0, toColor / 12.0, progress);
+        }
+    `,
+
+    // Chromatic aberration: colour channels drift apart mid-transition
+    rgbSplit: `
+        vec4 transition(vec2 uv) {
+            vec2 shift = vec2(intensity * 0.05 * sin(progress * 3.14159265), 0.0);
+            vec4 fromColor = vec4(getFromColor(uv + shift).r, getFromColor(uv).g, getFromColor(uv - shift).b, 1.0);
+            vec4 toColor = vec4(getToColor(uv + shift).r, getToColor(uv).g, getToColor(uv - shift).b, 1.0);
+            return mix(fromColor, toColor, progress);
+        }
+    `,
+
+    // Pixelate and dissolve cell by cell
+    pixelDissolve: `
+        float random(vec2 co) {
+            return fract(sin(dot(co, vec2(12.9898, 78.233))) * 43758.5453);
+        }
+
+        vec4 transition(vec2 uv) {
+            float pixelSize = max(1.0, 40.0 * intensity * sin(progress * 3.14159265));
+            vec2 cells = resolution / pixelSize;
+            vec2 sampleUv = (floor(uv * cells) + 0.5) / cells;
+            float threshold = random(floor(uv * resolution / 24.0));
+            return mix(getFromColor(sampleUv), getToColor(sampleUv), step(threshold, progress));
+        }
+    `
+};
+
 // Export for use in other scripts
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ScrollDistortionEffect;
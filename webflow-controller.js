@@ -3,18 +3,139 @@
  * Bridges Webflow interactions with the WebGL transition engine
  */
 
+// Engine events re-emitted by the controller
+const FORWARDED_ENGINE_EVENTS = [
+    'transitionstart', 'transitionprogress', 'transitionend', 'loadprogress', 'error', 'contextlost', 'contextrestored',
+    'autoplayadvance', 'autoplayend'
+];
+
+// Keys that scroll the page while the scroll lock is on, by e.key, with the direction they scroll
+// (Space scrolls back with Shift)
+const SCROLL_LOCK_KEYS = {
+    ' ': { x: 0, y: 1 },
+    PageDown: { x: 0, y: 1 },
+    End: { x: 0, y: 1 },
+    ArrowDown: { x: 0, y: 1 },
+    PageUp: { x: 0, y: -1 },
+    Home: { x: 0, y: -1 },
+    ArrowUp: { x: 0, y: -1 },
+    ArrowRight: { x: 1, y: 0 },
+    ArrowLeft: { x: -1, y: 0 }
+};
+
+// Elements that use arrow/Page keys themselves; direct input doesn't navigate from inside them
+const KEY_HANDLING_SELECTOR = [
+    'input', 'textarea', 'select', 'button', 'summary', 'audio', 'video', '[contenteditable]',
+    '[role="slider"]', '[role="spinbutton"]', '[role="scrollbar"]', '[role="listbox"]', '[role="combobox"]',
+    '[role="menu"]', '[role="menubar"]', '[role="tablist"]', '[role="tree"]', '[role="grid"]',
+    '[role="radiogroup"]', '[role="toolbar"]'
+].join(', ');
+
+// Content section animations: (element, amount) where amount runs 0 (hidden) to 1 (resting).
+// At amount 1 a preset must leave no inline styles behind.
+const CONTENT_TRANSITION_PRESETS = {
+    fade(element, amount) {
+        element.style.opacity = amount < 1 ? amount : '';
+    },
+    'slide-up'(element, amount) {
+        element.style.opacity = amount < 1 ? amount : '';
+        element.style.transform = amount < 1 ? `translateY(${(1 - amount) * 24}px)` : '';
+    },
+    // Fade and slide the section's children one after another
+    stagger(element, amount) {
+        const children = Array.from(element.children);
+        const delay = children.length > 1 ? Math.min(0.15, 0.5 / (children.length - 1)) : 0;
+        const span = 1 - delay * (children.length - 1);
+        children.forEach((child, index) => {
+            const childAmount = Math.max(0, Math.min(1, (amount - index * delay) / span));
+            CONTENT_TRANSITION_PRESETS['slide-up'](child, childAmount);
+        });
+    }
+};
+
 class WebflowGLController {
     constructor(config) {
         this.config = {
             containerId: config.containerId || 'gl-container',
             controllerId: config.controllerId || 'gl-controller',
-            imageUrls: config.imageUrls || [], // Array of 11 image URLs
+            container: config.container || null, // Container element (takes precedence over containerId)
+            controller: config.controller || null, // Controller element (takes precedence over controllerId)
+            contentScope: config.contentScope || null, // Element, selector or 'container' to search for slide content sections (defaults to document)
+            // Animate content sections with the image: 'fade', 'slide-up', 'stagger', a function
+            // (element, amount) or 'none'. The old section leaves during the first half of the
+            // transition, the new one enters during the second half.
+            contentTransition: config.contentTransition || 'none',
+            root: config.root || null, // [data-gl] element this controller was booted from (see autoInit)
+            imageUrls: config.imageUrls || [], // Array of 11 image URLs (or { src, type: 'video' } entries for video slides)
+            lazyLoad: config.lazyLoad !== false, // Load the initial slide first and its neighbours on demand
+            preloadWindow: config.preloadWindow !== undefined ? config.preloadWindow : 1, // Neighbours to prefetch on each side
+            maxPixelRatio: config.maxPixelRatio || 2, // Cap for render resolution and srcset selection
+            loop: config.loop || false, // Wrap next/previous between the last and first slide (state-11 -> state-1)
+            // Advance automatically every autoplayDuration seconds (number or per-slide array); at the end
+            // 'stop' or 'rewind'. Hovering or focusing the slideshow (root or container) holds the countdown
+            autoplay: config.autoplay || false,
+            autoplayDuration: config.autoplayDuration || 5,
+            autoplayEnd: config.autoplayEnd || 'stop',
+            pauseOnHover: config.pauseOnHover !== false,
+            pauseOnFocus: config.pauseOnFocus !== false,
             displacementImageUrls: Array.isArray(config.displacementImageUrls) 
                 ? config.displacementImageUrls.filter(url => url && typeof url === 'string' && url.trim() !== '')
-                : [], // Array of 3 displacement image URLs (filtered to remove invalid entries)
+                : [], // Array of displacement image URLs (filtered to remove invalid entries)
+            displacementMapping: config.displacementMapping || null, // Per-slide map indices, range rules or function (see ScrollDistortionEffect)
             intensity: config.intensity || 0.4,
             transitionSpeed: config.transitionSpeed || 1.2,
-            scrollLockDuration: config.scrollLockDuration || 1200,
+            easing: config.easing || 'easeOut', // Preset name, 'cubic-bezier(...)', function or spring (see ScrollDistortionEffect)
+            // What is blocked while a transition runs: 'full' (all page scrolling), 'direction' (only
+            // scrolling on in the transition's direction, so scrolling back stays free) or 'none'
+            scrollLock: config.scrollLock === false ? 'none' : (config.scrollLock || 'full'),
+            scrollLockCooldown: config.scrollLockCooldown !== undefined ? config.scrollLockCooldown : 150, // ms held after the transition ends (absorbs trackpad inertia)
+            scrollLockDuration: config.scrollLockDuration || 4000, // Safety limit (ms) in case a transition never reports finishing
+            // How state changes during a running transition are handled: 'queue', 'retarget', 'jump' or 'ignore'.
+            // Defaults to 'queue' so the canvas always ends on the state the controller reports
+            transitionPolicy: config.transitionPolicy || 'queue',
+            // 'time' (fixed-duration transitions) or 'scrub' (progress follows scroll/state continuously)
+            progressMode: config.progressMode || 'time',
+            scrubSource: config.scrubSource || null, // 'scroll' to scrub from page scroll instead of state classes
+            scrubElement: config.scrubElement || null, // Element whose scroll-through maps to slides (defaults to container)
+            scrubSmoothing: config.scrubSmoothing || 0.15,
+            effect: config.effect || 'displacement', // Transition effect name (see ScrollDistortionEffect.effects)
+            slideEffects: config.slideEffects || null, // Per-slide effect names (array or { index: name })
+            // Slide framing: fit ('cover', 'contain' or 'fill') and focal point (CSS object-position,
+            // [x, y] or { x, y } in 0..1), with per-slide overrides; contain letterboxes with letterboxColor
+            fit: config.fit || 'cover',
+            fits: config.fits || null,
+            focalPoint: config.focalPoint || 'center',
+            focalPoints: config.focalPoints || null,
+            letterboxColor: config.letterboxColor !== undefined ? config.letterboxColor : 0x000000,
+            // 'webflow' follows state-N classes set by Webflow interactions;
+            // 'direct' navigates from wheel, touch swipes and arrow/Page keys itself
+            inputMode: config.inputMode || 'webflow',
+            inputTarget: config.inputTarget || null, // Element receiving wheel/touch input in direct mode (defaults to window)
+            wheelThreshold: config.wheelThreshold || 40, // Accumulated wheel delta (px) needed to navigate
+            swipeThreshold: config.swipeThreshold || 50, // Swipe distance (px) needed to navigate
+            inputDebounce: config.inputDebounce || 700, // Minimum ms between two navigations
+            // Mirror the current slide into the URL: false, 'hash' (#slide-7) or 'query' (?slide=7).
+            // Use a distinct urlParam per instance when several sync on one page
+            urlSync: config.urlSync || false,
+            urlParam: config.urlParam || 'slide',
+            historyMode: config.historyMode || 'replace', // 'push' adds a history entry per slide, 'replace' doesn't
+            // Accessibility: reduced motion ('auto' follows the OS setting), canvas label, per-slide alt text,
+            // live-region announcements and moving focus into the shown content section
+            reducedMotion: config.reducedMotion !== undefined ? config.reducedMotion : 'auto',
+            reducedMotionStyle: config.reducedMotionStyle || 'crossfade', // 'crossfade' or 'cut'
+            canvasLabel: config.canvasLabel || 'Image slideshow',
+            alts: config.alts || [],
+            announce: config.announce !== false,
+            announcement: config.announcement || null, // (index, total, alt) => text; defaults to "Slide 3 of 11: alt"
+            moveFocus: config.moveFocus !== false,
+            fallback: config.fallback || 'auto', // 'auto' uses a 2D canvas crossfade without WebGL, 'always' forces it, 'never' disables it
+            sharedRenderer: config.sharedRenderer || false, // true (or a ScrollDistortionEffect.SharedRenderer) shares one WebGL context with other sliders on the page
+            debug: config.debug || false, // Open the GLDebugPanel tuning overlay (also opened by ?gldebug in the URL)
+            // Dependency injection (tests, bundlers): three.js namespace and renderer factory for the engine,
+            // and an engine factory (engineOptions) => engine replacing new ScrollDistortionEffect(...)
+            three: config.three || null,
+            rendererFactory: config.rendererFactory || null,
+            engineFactory: config.engineFactory || null,
             slideAttribute: config.slideAttribute || 'slide', // Attribute name for slide elements (e.g., 'slide')
             slideContentClassPrefix: config.slideContentClassPrefix || 'slide' // Prefix for slide content classes (e.g., 'slide1-content', 'slide2-content')
         };
@@ -23,8 +144,10 @@ class WebflowGLController {
         this.observer = null;
         this.scrollLocked = false;
         this.scrollUnlockTimer = null;
+        this.scrollLockSafetyTimer = null;
         this.currentState = null;
         this.isInitializing = true; // Flag to prevent observer from firing during initialization
+        this.listeners = {};
 
         // Initialize
         this.init();
@@ -45,30 +168,71 @@ class WebflowGLController {
     }
 
     setup() {
-        const container = document.getElementById(this.config.containerId);
+        if (this.isDestroyed) {
+            return;
+        }
+
+        const container = this.config.container || document.getElementById(this.config.containerId);
         if (!container) {
             console.error(`Container element #${this.config.containerId} not found`);
+            this.emit('error', { type: 'setup', message: `Container element #${this.config.containerId} not found` });
             return;
         }
 
-        const controller = document.getElementById(this.config.controllerId);
-        if (!controller) {
+        // Direct input doesn't depend on Webflow state classes, so the controller element is optional there
+        const controller = this.config.controller || document.getElementById(this.config.controllerId);
+        const isDirectInput = this.config.inputMode === 'direct';
+        if (!controller && !isDirectInput) {
             console.error(`Controller element #${this.config.controllerId} not found`);
+            this.emit('error', { type: 'setup', message: `Controller element #${this.config.controllerId} not found` });
             return;
         }
 
         // Read initial state FIRST (before initializing engine)
         // This ensures we know which state to show before engine setup
-        this.readInitialState(controller);
+        this.controllerElement = controller;
+        if (controller) {
+            this.readInitialState(controller);
+        } else {
+            this.currentState = 0;
+        }
+
+        // A deep link (#slide-7 / ?slide=7) wins over the controller's class
+        const urlState = this.readStateFromUrl();
+        if (urlState !== null) {
+            this.currentState = urlState;
+        }
 
         // Set initial content section visibility
+        this.contentScopeElement = this.resolveContentScope(container);
         this.updateContentSections(this.currentState || 0);
 
         // Initialize WebGL engine (will use the initial state we just read)
         this.initEngine(container);
 
-        // Setup MutationObserver to watch for class changes
-        this.setupObserver(controller);
+        if (this.config.debug || new URLSearchParams(window.location.search).has('gldebug')) {
+            this.initDebugPanel();
+        }
+
+        // Screen-reader announcements for slide changes
+        if (this.config.announce) {
+            this.createLiveRegion(container);
+        }
+
+        if (this.config.urlSync) {
+            this.setupHistorySync();
+        }
+
+        if (isDirectInput) {
+            // Interpret wheel, touch and keyboard input ourselves
+            this.setupDirectInput();
+        } else {
+            // Setup MutationObserver to watch for class changes
+            this.setupObserver(controller);
+            if (this.config.scrollLock !== 'none') {
+                this.setupScrollbarTracking();
+            }
+        }
 
         // Mark initialization as complete after a short delay
         // This allows the initial state to settle before observer becomes active
@@ -78,63 +242,81 @@ class WebflowGLController {
     }
 
     initEngine(container) {
-        // Store initial state index before any async operations
+        // Start on the initial state right away: with lazy loading its texture is fetched first,
+        // then the neighbours within preloadWindow; other slides load when they're targeted
         const initialStateIndex = this.currentState !== null ? this.currentState : 0;
-        
-        // Create engine instance (it will need at least 2 images initially)
-        // We'll update it with all 11 images after initialization
-        const initialImages = this.config.imageUrls.length >= 2 
-            ? [this.config.imageUrls[0], this.config.imageUrls[1]]
-            : this.config.imageUrls;
-
-        // Use first displacement as initial (or empty array if not provided)
-        const initialDisplacement = this.config.displacementImageUrls.length > 0
-            ? [this.config.displacementImageUrls[0]]
-            : [];
-
-        this.engine = new ScrollDistortionEffect({
+
+        const engineOptions = {
             parent: container,
-            images: initialImages,
-            displacementImages: initialDisplacement,
+            images: this.config.imageUrls,
+            initialIndex: initialStateIndex,
+            lazyLoad: this.config.lazyLoad,
+            preloadWindow: this.config.preloadWindow,
+            maxPixelRatio: this.config.maxPixelRatio,
+            loop: this.config.loop,
+            autoplay: this.config.autoplay,
+            autoplayDuration: this.config.autoplayDuration,
+            autoplayEnd: this.config.autoplayEnd,
+            pauseOnHover: this.config.pauseOnHover,
+            pauseOnFocus: this.config.pauseOnFocus,
+            autoplayPauseTarget: this.config.root || container,
+            // All displacement maps up front so the mapping can be validated against them
+            displacementImages: this.config.displacementImageUrls,
+            displacementMapping: this.config.displacementMapping,
             intensity: this.config.intensity,
-            transitionSpeed: this.config.transitionSpeed
+            transitionSpeed: this.config.transitionSpeed,
+            easing: this.config.easing,
+            transitionPolicy: this.config.transitionPolicy,
+            progressMode: this.config.progressMode,
+            scrubSource: this.config.scrubSource,
+            scrubElement: this.config.scrubElement,
+            scrubSmoothing: this.config.scrubSmoothing,
+            effect: this.config.effect,
+            slideEffects: this.config.slideEffects,
+            fit: this.config.fit,
+            fits: this.config.fits,
+            focalPoint: this.config.focalPoint,
+            focalPoints: this.config.focalPoints,
+            letterboxColor: this.config.letterboxColor,
+            reducedMotion: this.config.reducedMotion,
+            reducedMotionStyle: this.config.reducedMotionStyle,
+            label: this.config.canvasLabel,
+            alts: this.config.alts,
+            fallback: this.config.fallback,
+            sharedRenderer: this.config.sharedRenderer,
+            three: this.config.three,
+            rendererFactory: this.config.rendererFactory,
+            onImageChange: (index) => this.handleEngineImageChange(index)
+        };
+
+        if (!this.config.engineFactory && typeof ScrollDistortionEffect === 'undefined') {
+            console.error('ScrollDistortionEffect not found; load scroll-distortion-noloop.js first or pass engineFactory');
+            this.emit('error', { type: 'setup', message: 'ScrollDistortionEffect not found' });
+            return;
+        }
+        this.engine = this.config.engineFactory
+            ? this.config.engineFactory(engineOptions)
+            : new ScrollDistortionEffect(engineOptions);
+
+        // Re-emit engine events so listeners can subscribe before the engine exists
+        FORWARDED_ENGINE_EVENTS.forEach(type => {
+            this.engine.on(type, detail => this.emit(type, detail));
         });
 
-        // Load all 11 images and all 3 displacement maps if provided
-        if (this.config.imageUrls.length > 2 || this.config.displacementImageUrls.length > 1) {
-            // Wait a bit for initial setup, then load all images
-            setTimeout(() => {
-                if (this.config.displacementImageUrls.length === 3) {
-                    this.engine.setDisplacementImages(this.config.displacementImageUrls);
-                }
-                
-                if (this.config.imageUrls.length > 2) {
-                    // Load all images and set initial image when complete
-                    this.engine.setImages(this.config.imageUrls, () => {
-                        // All images loaded, now set the initial image if needed
-                        if (initialStateIndex !== 0 && this.engine) {
-                            this.engine.setInitialImage(initialStateIndex);
-                        }
-                    });
-                } else if (initialStateIndex !== 0) {
-                    // If we don't need to load more images, set initial image now
-                    setTimeout(() => {
-                        if (this.engine) {
-                            this.engine.setInitialImage(initialStateIndex);
-                        }
-                    }, 200);
-                }
-            }, 100);
-        } else {
-            // If we have 2 or fewer images, set initial image immediately if needed
-            if (initialStateIndex !== 0) {
-                setTimeout(() => {
-                    if (this.engine) {
-                        this.engine.setInitialImage(initialStateIndex);
-                    }
-                }, 200);
-            }
+        this.engine.on('transitionprogress', detail => this.updateContentProgress(detail));
+        this.engine.on('autoplayadvance', detail => this.handleAutoplayAdvance(detail));
+    }
+
+    // Tuning overlay (gl-debug-panel.js) for this controller's engine
+    initDebugPanel() {
+        if (!this.engine) {
+            return;
         }
+        if (typeof GLDebugPanel === 'undefined') {
+            console.warn('GLDebugPanel not found; load gl-debug-panel.js to use the debug panel');
+            return;
+        }
+        this.debugPanel = new GLDebugPanel({ controller: this });
     }
 
     setupObserver(controller) {
@@ -163,7 +345,7 @@ class WebflowGLController {
         const stateNumber = this.extractStateNumber(controller);
         
         if (stateNumber !== null && stateNumber !== this.currentState) {
-            this.currentState = stateNumber;
+            this.setState(stateNumber);
             this.triggerTransition(stateNumber);
         }
     }
@@ -193,99 +375,666 @@ class WebflowGLController {
         return null;
     }
 
-    triggerTransition(index) {
+    // options (effect, easing, duration) are passed through to the engine's transitionTo;
+    // options.moveFocus false keeps focus where it is (e.g. on the control that navigated)
+    triggerTransition(index, options) {
         if (!this.engine) {
             console.warn('Engine not initialized, cannot trigger transition');
-            return;
+            return Promise.resolve(false);
         }
 
         // Update content sections if configured
-        this.updateContentSections(index);
-
-        // Lock scroll
-        this.lockScroll();
+        this.updateContentSections(index, true, !options || options.moveFocus !== false);
 
         // Trigger transition (convert to 0-based index if needed)
         const targetIndex = Math.max(0, Math.min(index, this.config.imageUrls.length - 1));
-        this.engine.transitionTo(targetIndex);
 
-        // Auto-unlock after duration (safety mechanism)
-        this.scheduleScrollUnlock();
+        // Scrubbing follows the user continuously, direct input consumes its own events
+        // and reduced motion shouldn't hold the page, so there is nothing to lock
+        const skipScrollLock = this.config.scrollLock === 'none' ||
+            this.config.progressMode === 'scrub' ||
+            this.config.inputMode === 'direct' ||
+            this.engine.prefersReducedMotion();
+        if (skipScrollLock) {
+            return this.followContentTransition(this.engine.transitionTo(targetIndex, options));
+        }
+
+        // Lock scroll until the engine comes to rest (plus the cooldown)
+        this.lockScroll(this.getTransitionDirection(this.engine.getDestinationIndex(), targetIndex));
+
+        const transition = this.engine.transitionTo(targetIndex, options);
+        transition.then(() => this.scheduleScrollUnlock());
+        return this.followContentTransition(transition);
+    }
+
+    // Record the active state (0-based) and mirror it into the URL
+    setState(index) {
+        this.currentState = index;
+        this.writeStateToUrl(index);
+    }
+
+    // Read a 0-based state from the URL hash/query, or null if absent or out of range
+    readStateFromUrl() {
+        if (!this.config.urlSync) {
+            return null;
+        }
+
+        let value = null;
+        if (this.config.urlSync === 'query') {
+            value = new URLSearchParams(window.location.search).get(this.config.urlParam);
+        } else {
+            const match = window.location.hash.match(new RegExp(`^#${this.config.urlParam}-(\\d+)$`));
+            value = match ? match[1] : null;
+        }
+
+        const stateNumber = parseInt(value, 10);
+        if (isNaN(stateNumber) || stateNumber < 1 || stateNumber > this.config.imageUrls.length) {
+            return null;
+        }
+        return stateNumber - 1;
+    }
+
+    // Write the 1-based state into the URL using pushState/replaceState
+    writeStateToUrl(index, forceReplace) {
+        if (!this.config.urlSync || this.isRestoringFromHistory) {
+            return;
+        }
+
+        const url = new URL(window.location.href);
+        if (this.config.urlSync === 'query') {
+            url.searchParams.set(this.config.urlParam, index + 1);
+        } else {
+            url.hash = `${this.config.urlParam}-${index + 1}`;
+        }
+        if (url.href === window.location.href) {
+            return;
+        }
+
+        const method = this.config.historyMode === 'push' && !forceReplace ? 'pushState' : 'replaceState';
+        history[method]({ glState: index }, '', url.href);
+    }
+
+    // Follow back/forward navigation and manual hash edits
+    setupHistorySync() {
+        // Reflect the initial state without adding a history entry
+        this.writeStateToUrl(this.currentState, true);
+
+        this.handleHistoryChange = () => {
+            const index = this.readStateFromUrl();
+            if (index === null || index === this.currentState) {
+                return;
+            }
+
+            this.isRestoringFromHistory = true;
+            this.goTo(index);
+            this.isRestoringFromHistory = false;
+        };
+        window.addEventListener('popstate', this.handleHistoryChange);
+        window.addEventListener('hashchange', this.handleHistoryChange);
+    }
+
+    // Go to a slide (0-based), updating state, content sections and the canvas.
+    // options (effect, easing, duration) override the configured ones for this transition;
+    // moveFocus: false leaves focus alone (see triggerTransition).
+    goTo(index, options) {
+        const targetIndex = Math.max(0, Math.min(index, this.config.imageUrls.length - 1));
+        if (targetIndex === this.currentState) {
+            return Promise.resolve(false);
+        }
+        this.setState(targetIndex);
+        // Keep Webflow's state-N class (and so its interactions) on the slide we're going to
+        this.syncStateClass(targetIndex);
+        return this.triggerTransition(targetIndex, options);
+    }
+
+    // Step to the next/previous slide through the engine, keeping state and content sections in sync
+    next(options) {
+        return this.step(1, options);
+    }
+
+    previous(options) {
+        return this.step(-1, options);
     }
 
-    // Update content sections visibility based on state (1-based state number)
-    updateContentSections(stateIndex) {
+    step(direction, options) {
+        if (!this.engine) {
+            return Promise.resolve(false);
+        }
+
+        const transition = direction > 0
+            ? this.engine.transitionToNext(options)
+            : this.engine.transitionToPrevious(options);
+
+        const destinationIndex = this.engine.getDestinationIndex();
+        if (destinationIndex !== this.currentState) {
+            this.setState(destinationIndex);
+            this.syncStateClass(destinationIndex);
+            this.updateContentSections(destinationIndex, true, !options || options.moveFocus !== false);
+        }
+        return this.followContentTransition(transition);
+    }
+
+    // Whether a step in the given direction would move (always, when looping)
+    canStep(direction) {
+        if (this.config.loop) {
+            return this.config.imageUrls.length > 1;
+        }
+        const index = this.engine ? this.engine.getDestinationIndex() : this.currentState;
+        return direction > 0 ? index < this.config.imageUrls.length - 1 : index > 0;
+    }
+
+    // Direct input mode: navigate from wheel, touch swipes and keys without Webflow interactions
+    setupDirectInput() {
+        const target = this.config.inputTarget || window;
+        this.lastNavigationTime = 0;
+        this.wheelAccumulator = 0;
+        this.lastWheelTime = 0;
+        this.lastWheelDelta = 0;
+        this.wheelGestureHandled = false;
+
+        // Navigate at most once per inputDebounce
+        const navigate = (direction) => {
+            const now = Date.now();
+            if (now - this.lastNavigationTime < this.config.inputDebounce) {
+                return;
+            }
+            this.lastNavigationTime = now;
+            this.step(direction);
+        };
+
+        const handleWheel = (e) => {
+            // Normalise line/page deltas to pixels
+            const multiplier = e.deltaMode === 1 ? 16 : (e.deltaMode === 2 ? window.innerHeight : 1);
+            const delta = (Math.abs(e.deltaY) >= Math.abs(e.deltaX) ? e.deltaY : e.deltaX) * multiplier;
+            const direction = Math.sign(delta);
+            if (direction === 0) {
+                return;
+            }
+
+            // At the first/last slide let the page scroll on
+            if (!this.canStep(direction)) {
+                return;
+            }
+            e.preventDefault();
+
+            const now = Date.now();
+            const gap = now - this.lastWheelTime;
+            const previousDelta = this.lastWheelDelta;
+            this.lastWheelTime = now;
+            this.lastWheelDelta = delta;
+
+            // Trackpad inertia keeps firing decaying deltas after a gesture has navigated: ignore them
+            // until the wheel goes quiet or a clearly stronger impulse (a new swipe) comes in
+            if (this.wheelGestureHandled) {
+                const isNewGesture = gap > 200 || Math.abs(delta) > Math.abs(previousDelta) * 1.5 + 2 ||
+                    Math.sign(previousDelta) !== direction;
+                if (!isNewGesture) {
+                    return;
+                }
+                this.wheelGestureHandled = false;
+                this.wheelAccumulator = 0;
+            }
+
+            if (gap > 200) {
+                this.wheelAccumulator = 0;
+            }
+            this.wheelAccumulator += delta;
+
+            if (Math.abs(this.wheelAccumulator) >= this.config.wheelThreshold) {
+                this.wheelAccumulator = 0;
+                this.wheelGestureHandled = true;
+                navigate(direction);
+            }
+        };
+
+        let touchStartX = 0;
+        let touchStartY = 0;
+        const handleTouchStart = (e) => {
+            touchStartX = e.touches[0].clientX;
+            touchStartY = e.touches[0].clientY;
+        };
+        const getSwipeDelta = (touch) => {
+            const deltaX = touchStartX - touch.clientX;
+            const deltaY = touchStartY - touch.clientY;
+            return Math.abs(deltaY) >= Math.abs(deltaX) ? deltaY : deltaX;
+        };
+        const handleTouchMove = (e) => {
+            // Keep the page still while a swipe can navigate
+            const direction = Math.sign(getSwipeDelta(e.touches[0]));
+            if (direction !== 0 && this.canStep(direction)) {
+                e.preventDefault();
+            }
+        };
+        const handleTouchEnd = (e) => {
+            const delta = getSwipeDelta(e.changedTouches[0]);
+            if (Math.abs(delta) >= this.config.swipeThreshold) {
+                navigate(Math.sign(delta));
+            }
+        };
+
+        const handleKeyDown = (e) => {
+            // Leave keys to whoever handled them already, to form fields and to widgets with their
+            // own arrow-key behaviour (navigation dots, sliders, menus...)
+            const element = e.target;
+            if (e.defaultPrevented || (element && element.isContentEditable) ||
+                (element && element.closest && element.closest(KEY_HANDLING_SELECTOR))) {
+                return;
+            }
+
+            const keyDirections = {
+                ArrowDown: 1, ArrowRight: 1, PageDown: 1,
+                ArrowUp: -1, ArrowLeft: -1, PageUp: -1
+            };
+            const direction = keyDirections[e.key];
+            if (direction && this.canStep(direction)) {
+                e.preventDefault();
+                navigate(direction);
+            }
+        };
+
+        target.addEventListener('wheel', handleWheel, { passive: false });
+        target.addEventListener('touchstart', handleTouchStart, { passive: true });
+        target.addEventListener('touchmove', handleTouchMove, { passive: false });
+        target.addEventListener('touchend', handleTouchEnd, { passive: true });
+        window.addEventListener('keydown', handleKeyDown);
+
+        this.directInputCleanup = () => {
+            target.removeEventListener('wheel', handleWheel, { passive: false });
+            target.removeEventListener('touchstart', handleTouchStart, { passive: true });
+            target.removeEventListener('touchmove', handleTouchMove, { passive: false });
+            target.removeEventListener('touchend', handleTouchEnd, { passive: true });
+            window.removeEventListener('keydown', handleKeyDown);
+        };
+    }
+
+    // Mirror an autoplay step: state (and URL), the controller's state-N class and content sections
+    handleAutoplayAdvance(detail) {
+        if (detail.to === this.currentState) {
+            return;
+        }
+
+        this.setState(detail.to);
+        this.syncStateClass(detail.to);
+        // A timer never takes focus (it would also hold autoplay through pauseOnFocus)
+        this.updateContentSections(detail.to, true, false);
+        this.followContentTransition(detail.transition);
+    }
+
+    // Set the controller element's state-N class to match a 0-based state. The observer then
+    // sees the state it already has and doesn't trigger another transition.
+    syncStateClass(index) {
+        const controller = this.controllerElement;
+        if (!controller) {
+            return;
+        }
+
+        Array.from(controller.classList)
+            .filter(className => /^state-\d+$/.test(className))
+            .forEach(className => controller.classList.remove(className));
+        controller.classList.add(`state-${index + 1}`);
+    }
+
+    // Keep state and content sections in sync when the engine changes slide on its own (scroll scrubbing)
+    handleEngineImageChange(index) {
+        if (this.config.scrubSource !== 'scroll' || index === this.currentState) {
+            return;
+        }
+
+        this.setState(index);
+        this.updateContentSections(index);
+    }
+
+    // Update content sections visibility based on state (1-based state number).
+    // With animate set (and a contentTransition configured) the switch follows the image transition.
+    // moveFocus false skips moving focus into the new section.
+    updateContentSections(stateIndex, animate, moveFocus) {
         if (!this.config.slideAttribute) {
             return; // Not configured, skip
         }
 
         const stateNumber = stateIndex + 1; // Convert to 1-based (state 1, 2, etc.)
         
-        // Hide all elements with the slide attribute
-        const allSlides = document.querySelectorAll(`[${this.config.slideAttribute}]`);
-        allSlides.forEach(slide => {
-            slide.style.display = 'none';
-        });
-        
-        // Show the specific slide content for this state
+        const scope = this.contentScopeElement || document;
+
+        // Settle a section animation that is still running before starting the next one
+        this.finishContentTransition();
+
+        const allSlides = scope.querySelectorAll(`[${this.config.slideAttribute}]`);
         const targetSlideClass = `${this.config.slideContentClassPrefix}${stateNumber}-content`;
-        const targetSlide = document.querySelector(`.${targetSlideClass}`);
-        if (targetSlide) {
-            targetSlide.style.display = 'block';
-        } else {
+        const targetSlide = scope.querySelector(`.${targetSlideClass}`);
+        if (!targetSlide) {
             console.warn(`Slide content element with class "${targetSlideClass}" not found`);
         }
+
+        const leavingSlide = this.activeContentSection;
+        this.activeContentSection = targetSlide;
+        const shouldAnimate = animate && targetSlide && leavingSlide && leavingSlide !== targetSlide &&
+            this.canAnimateContent();
+
+        if (shouldAnimate) {
+            // Keep the outgoing section up until the transition's midpoint (see updateContentProgress)
+            allSlides.forEach(slide => {
+                if (slide !== leavingSlide) {
+                    slide.style.display = 'none';
+                }
+            });
+            leavingSlide.classList.add('is-leaving');
+            this.contentTransition = {
+                index: stateIndex,
+                leaving: leavingSlide,
+                entering: targetSlide,
+                hasEntered: false,
+                focusOnEnter: !this.isInitializing && moveFocus !== false
+            };
+        } else {
+            // Hide all elements with the slide attribute
+            allSlides.forEach(slide => {
+                slide.style.display = 'none';
+            });
+
+            // Show the specific slide content for this state
+            if (targetSlide) {
+                targetSlide.style.display = 'block';
+            }
+        }
+
+        // Announce the change and move focus into the new section (not for the initial state)
+        if (!this.isInitializing) {
+            this.announceSlide(stateIndex);
+            if (targetSlide && !shouldAnimate && moveFocus !== false) {
+                this.focusContentSection(targetSlide);
+            }
+        }
+    }
+
+    // Resolve config.contentScope: an element, 'container' (the canvas container) or a selector
+    resolveContentScope(container) {
+        const scope = this.config.contentScope;
+        if (scope === 'container') {
+            return container;
+        }
+        if (typeof scope === 'string') {
+            const element = document.querySelector(scope);
+            if (!element) {
+                console.warn(`Content scope "${scope}" not found, using document`);
+            }
+            return element;
+        }
+        return scope;
     }
 
-    lockScroll() {
+    getContentPreset() {
+        const preset = this.config.contentTransition;
+        if (typeof preset === 'function') {
+            return preset;
+        }
+        return CONTENT_TRANSITION_PRESETS[preset] || null;
+    }
+
+    // Scrubbing and reduced motion switch content instantly
+    canAnimateContent() {
+        return !this.isInitializing &&
+            this.getContentPreset() !== null &&
+            this.config.progressMode !== 'scrub' &&
+            !(this.engine && this.engine.prefersReducedMotion());
+    }
+
+    // Drive the running section animation from the engine's transition progress
+    updateContentProgress(detail) {
+        const transition = this.contentTransition;
+        if (!transition || detail.to !== transition.index) {
+            return;
+        }
+
+        const preset = this.getContentPreset();
+        if (detail.progress < 0.5) {
+            preset(transition.leaving, 1 - detail.progress * 2);
+            return;
+        }
+
+        this.enterContentSection(transition);
+        preset(transition.entering, Math.min(1, (detail.progress - 0.5) * 2));
+    }
+
+    // Swap the leaving section for the entering one
+    enterContentSection(transition) {
+        if (transition.hasEntered) {
+            return;
+        }
+        transition.hasEntered = true;
+
+        const preset = this.getContentPreset();
+        preset(transition.leaving, 1);
+        transition.leaving.classList.remove('is-leaving');
+        transition.leaving.style.display = 'none';
+
+        preset(transition.entering, 0);
+        transition.entering.classList.add('is-entering');
+        transition.entering.style.display = 'block';
+        if (transition.focusOnEnter) {
+            this.focusContentSection(transition.entering);
+        }
+    }
+
+    // Jump the running section animation to its end state
+    finishContentTransition() {
+        const transition = this.contentTransition;
+        if (!transition) {
+            return;
+        }
+
+        this.contentTransition = null;
+        this.enterContentSection(transition);
+        this.getContentPreset()(transition.entering, 1);
+        transition.entering.classList.remove('is-entering');
+    }
+
+    // Settle the section animation started for this transition once the engine is done with it
+    followContentTransition(transition) {
+        const contentTransition = this.contentTransition;
+        if (contentTransition) {
+            transition.then(() => {
+                if (this.contentTransition === contentTransition) {
+                    this.finishContentTransition();
+                }
+            });
+        }
+        return transition;
+    }
+
+    // Visually hidden live region that announces slide changes to screen readers
+    createLiveRegion(container) {
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('aria-atomic', 'true');
+        Object.assign(this.liveRegion.style, {
+            position: 'absolute',
+            width: '1px',
+            height: '1px',
+            margin: '-1px',
+            padding: '0',
+            overflow: 'hidden',
+            clip: 'rect(0 0 0 0)',
+            whiteSpace: 'nowrap',
+            border: '0'
+        });
+        container.appendChild(this.liveRegion);
+    }
+
+    announceSlide(index) {
+        if (!this.liveRegion) {
+            return;
+        }
+
+        const total = this.config.imageUrls.length;
+        const alt = this.config.alts[index] || '';
+        this.liveRegion.textContent = this.config.announcement
+            ? this.config.announcement(index, total, alt)
+            : `Slide ${index + 1} of ${total}${alt ? `: ${alt}` : ''}`;
+    }
+
+    // Move keyboard/screen-reader focus into the shown section without scrolling,
+    // unless the user is busy in a form field
+    focusContentSection(section) {
+        if (!this.config.moveFocus) {
+            return;
+        }
+
+        const active = document.activeElement;
+        if (active && (active.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(active.tagName))) {
+            return;
+        }
+
+        if (!section.hasAttribute('tabindex')) {
+            section.setAttribute('tabindex', '-1');
+        }
+        section.focus({ preventScroll: true });
+    }
+
+    // Block page scrolling while a transition runs. direction (1 forward, -1 back) is what
+    // config.scrollLock 'direction' blocks; locking again while locked just updates it.
+    lockScroll(direction) {
+        this.scrollLockDirection = direction || 0;
+
+        // A new transition cancels a pending cooldown and restarts the safety limit
+        if (this.scrollUnlockTimer) {
+            clearTimeout(this.scrollUnlockTimer);
+            this.scrollUnlockTimer = null;
+        }
+        if (this.scrollLockSafetyTimer) {
+            clearTimeout(this.scrollLockSafetyTimer);
+        }
+        this.scrollLockSafetyTimer = setTimeout(() => this.unlockScroll(), this.config.scrollLockDuration);
+
         if (this.scrollLocked) {
             return; // Already locked
         }
 
         this.scrollLocked = true;
+        this.scrollLockPosition = { x: window.scrollX, y: window.scrollY };
+        let touchPoint = null;
 
-        // Prevent scroll on wheel events
-        const preventScroll = (e) => {
-            if (this.scrollLocked) {
-                e.preventDefault();
-                e.stopPropagation();
+        // Cancel input that would scroll the page, unless a nested scrollable element takes it
+        const block = (e, deltaX, deltaY) => {
+            if (!this.isScrollBlocked(deltaX, deltaY) || this.canScrollWithin(e.target, deltaX, deltaY)) {
+                return;
             }
+            e.preventDefault();
+            e.stopPropagation();
         };
 
-        // Prevent scroll on touch events
+        const preventScroll = (e) => block(e, e.deltaX, e.deltaY);
+
+        // Touch deltas are measured between moves (the lock can start mid-gesture)
+        const trackTouch = (e) => {
+            touchPoint = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+        };
         const preventTouchScroll = (e) => {
-            if (this.scrollLocked) {
-                e.preventDefault();
-                e.stopPropagation();
-            }
+            const touch = e.touches[0];
+            const previous = touchPoint || { x: touch.clientX, y: touch.clientY };
+            touchPoint = { x: touch.clientX, y: touch.clientY };
+            block(e, previous.x - touch.clientX, previous.y - touch.clientY);
         };
 
-        // Prevent scroll on keyboard
         const preventKeyScroll = (e) => {
-            if (this.scrollLocked) {
-                const scrollKeys = [32, 33, 34, 35, 36, 37, 38, 39, 40]; // Space, Page Up/Down, Home, End, Arrow keys
-                if (scrollKeys.includes(e.keyCode)) {
-                    e.preventDefault();
-                    e.stopPropagation();
-                }
+            const key = SCROLL_LOCK_KEYS[e.key];
+            const target = e.target;
+            const isEditable = target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName));
+            if (!key || isEditable || e.ctrlKey || e.metaKey || e.altKey) {
+                return;
+            }
+            const sign = e.key === ' ' && e.shiftKey ? -1 : 1;
+            block(e, key.x * sign, key.y * sign);
+        };
+
+        // Scrollbar drags don't fire input events: undo the scroll instead
+        const holdScrollPosition = () => {
+            const deltaX = window.scrollX - this.scrollLockPosition.x;
+            const deltaY = window.scrollY - this.scrollLockPosition.y;
+            if (!this.isDraggingScrollbar || (deltaX === 0 && deltaY === 0)) {
+                return;
+            }
+            if (this.isScrollBlocked(deltaX, deltaY)) {
+                window.scrollTo(this.scrollLockPosition.x, this.scrollLockPosition.y);
+            } else {
+                this.scrollLockPosition = { x: window.scrollX, y: window.scrollY };
             }
         };
 
         // Add event listeners with passive: false to allow preventDefault
         window.addEventListener('wheel', preventScroll, { passive: false, capture: true });
+        window.addEventListener('touchstart', trackTouch, { passive: true, capture: true });
         window.addEventListener('touchmove', preventTouchScroll, { passive: false, capture: true });
         window.addEventListener('keydown', preventKeyScroll, { passive: false, capture: true });
+        window.addEventListener('scroll', holdScrollPosition);
 
         // Store cleanup function
         this.scrollUnlockCleanup = () => {
             window.removeEventListener('wheel', preventScroll, { passive: false, capture: true });
+            window.removeEventListener('touchstart', trackTouch, { passive: true, capture: true });
             window.removeEventListener('touchmove', preventTouchScroll, { passive: false, capture: true });
             window.removeEventListener('keydown', preventKeyScroll, { passive: false, capture: true });
+            window.removeEventListener('scroll', holdScrollPosition);
             this.scrollLocked = false;
         };
     }
 
+    // Whether the lock blocks scrolling by (deltaX, deltaY): everything with scrollLock 'full',
+    // only scrolling on in the transition's direction with 'direction'
+    isScrollBlocked(deltaX, deltaY) {
+        if (this.config.scrollLock !== 'direction' || !this.scrollLockDirection) {
+            return true;
+        }
+        const delta = Math.abs(deltaY) >= Math.abs(deltaX) ? deltaY : deltaX;
+        return Math.sign(delta) === this.scrollLockDirection;
+    }
+
+    // Whether target sits in a scrollable element (other than the page) that can still move by the delta
+    canScrollWithin(target, deltaX, deltaY) {
+        let element = target && target.nodeType === 1 ? target : (target && target.parentElement) || null;
+        while (element && element !== document.body && element !== document.documentElement) {
+            const style = window.getComputedStyle(element);
+            const canScrollY = /(auto|scroll)/.test(style.overflowY) && element.scrollHeight > element.clientHeight;
+            const canScrollX = /(auto|scroll)/.test(style.overflowX) && element.scrollWidth > element.clientWidth;
+            if (canScrollY && ((deltaY > 0 && element.scrollTop + element.clientHeight < element.scrollHeight - 1) ||
+                (deltaY < 0 && element.scrollTop > 0))) {
+                return true;
+            }
+            if (canScrollX && ((deltaX > 0 && element.scrollLeft + element.clientWidth < element.scrollWidth - 1) ||
+                (deltaX < 0 && element.scrollLeft > 0))) {
+                return true;
+            }
+            element = element.parentElement;
+        }
+        return false;
+    }
+
+    // Track presses on the page scrollbar so a drag can be held while locked (a drag
+    // often starts before the state change that locks)
+    setupScrollbarTracking() {
+        this.isDraggingScrollbar = false;
+        this.handleScrollbarPointerDown = (e) => {
+            const root = document.documentElement;
+            this.isDraggingScrollbar = e.clientX >= root.clientWidth || e.clientY >= root.clientHeight;
+        };
+        this.handleScrollbarPointerUp = () => {
+            this.isDraggingScrollbar = false;
+        };
+        window.addEventListener('pointerdown', this.handleScrollbarPointerDown, true);
+        window.addEventListener('pointerup', this.handleScrollbarPointerUp, true);
+    }
+
     unlockScroll() {
+        // Clear any pending unlock timers
+        if (this.scrollUnlockTimer) {
+            clearTimeout(this.scrollUnlockTimer);
+            this.scrollUnlockTimer = null;
+        }
+        if (this.scrollLockSafetyTimer) {
+            clearTimeout(this.scrollLockSafetyTimer);
+            this.scrollLockSafetyTimer = null;
+        }
+
         if (!this.scrollLocked) {
             return; // Already unlocked
         }
@@ -294,24 +1043,33 @@ class WebflowGLController {
             this.scrollUnlockCleanup();
             this.scrollUnlockCleanup = null;
         }
-
-        // Clear any pending unlock timer
-        if (this.scrollUnlockTimer) {
-            clearTimeout(this.scrollUnlockTimer);
-            this.scrollUnlockTimer = null;
-        }
     }
 
+    // Release the lock config.scrollLockCooldown ms after the engine comes to rest
     scheduleScrollUnlock() {
-        // Clear any existing timer
+        if (!this.scrollLocked || (this.engine && this.engine.isBusy())) {
+            return;
+        }
+
         if (this.scrollUnlockTimer) {
             clearTimeout(this.scrollUnlockTimer);
         }
-
-        // Schedule unlock after duration
         this.scrollUnlockTimer = setTimeout(() => {
             this.unlockScroll();
-        }, this.config.scrollLockDuration);
+        }, this.config.scrollLockCooldown);
+    }
+
+    // 1 when moving from one slide to another goes forward, -1 when back (the short way round when looping)
+    getTransitionDirection(fromIndex, toIndex) {
+        const total = this.config.imageUrls.length;
+        if (!this.config.loop) {
+            return Math.sign(toIndex - fromIndex);
+        }
+        const forwardDistance = (toIndex - fromIndex + total) % total;
+        if (forwardDistance === 0) {
+            return 0;
+        }
+        return forwardDistance <= total / 2 ? 1 : -1;
     }
 
     readInitialState(controller) {
@@ -326,8 +1084,64 @@ class WebflowGLController {
         }
     }
 
+    // Subscribe to 'transitionstart', 'transitionprogress', 'transitionend', 'loadprogress', 'error',
+    // 'contextlost' or 'contextrestored'
+    on(type, handler) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(handler);
+        return this;
+    }
+
+    off(type, handler) {
+        if (this.listeners[type]) {
+            this.listeners[type] = this.listeners[type].filter(listener => listener !== handler);
+        }
+        return this;
+    }
+
+    emit(type, detail) {
+        (this.listeners[type] || []).slice().forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Error in "${type}" listener:`, error);
+            }
+        });
+    }
+
+    // Start/stop advancing automatically (see config.autoplay)
+    startAutoplay() {
+        if (this.engine) {
+            this.engine.startAutoplay();
+        }
+    }
+
+    stopAutoplay() {
+        if (this.engine) {
+            this.engine.stopAutoplay();
+        }
+    }
+
+    // Stop rendering the canvas (e.g. while its section is hidden); also holds autoplay
+    pause() {
+        if (this.engine) {
+            this.engine.pause();
+        }
+    }
+
+    // Restart rendering after pause()
+    resume() {
+        if (this.engine) {
+            this.engine.resume();
+        }
+    }
+
     // Cleanup method
     destroy() {
+        this.isDestroyed = true;
+
         // Stop observing
         if (this.observer) {
             this.observer.disconnect();
@@ -336,15 +1150,164 @@ class WebflowGLController {
 
         // Unlock scroll
         this.unlockScroll();
+        if (this.handleScrollbarPointerDown) {
+            window.removeEventListener('pointerdown', this.handleScrollbarPointerDown, true);
+            window.removeEventListener('pointerup', this.handleScrollbarPointerUp, true);
+            this.handleScrollbarPointerDown = null;
+        }
+
+        if (this.handleHistoryChange) {
+            window.removeEventListener('popstate', this.handleHistoryChange);
+            window.removeEventListener('hashchange', this.handleHistoryChange);
+            this.handleHistoryChange = null;
+        }
+
+        // Remove direct input listeners
+        if (this.directInputCleanup) {
+            this.directInputCleanup();
+            this.directInputCleanup = null;
+        }
+
+        if (this.liveRegion) {
+            this.liveRegion.remove();
+            this.liveRegion = null;
+        }
+
+        this.finishContentTransition();
+
+        if (this.debugPanel) {
+            this.debugPanel.destroy();
+            this.debugPanel = null;
+        }
 
         // Destroy engine
         if (this.engine) {
             this.engine.destroy();
             this.engine = null;
         }
+
+        if (this.config.root) {
+            WebflowGLController.instances.delete(this.config.root);
+        }
+    }
+
+    // Boot a controller for every [data-gl] element under root that doesn't have one yet.
+    //
+    // <div data-gl data-gl-intensity="0.5" data-gl-effect="ripple">
+    //     <div data-gl-canvas></div>                       canvas container (defaults to the root)
+    //     <div data-gl-controller class="state-1"></div>   element Webflow sets state-N on (defaults to the root)
+    //     <img data-gl-image src="slide-1.jpg">            one per slide, in order; or data-gl-image="url"
+    //     <div data-gl-displacement="disp-1.png"></div>    displacement maps, in order
+    // </div>
+    //
+    // Other data-gl-* attributes on the root map to config options (data-gl-transition-speed ->
+    // transitionSpeed). data-gl-map / data-gl-effect on a slide element set its displacement map / effect,
+    // data-gl-fit / data-gl-focal its framing ('contain', '50% 20%'), its alt (or data-gl-alt) the slide's alt text
+    // and its srcset (or data-gl-srcset) responsive sources.
+    // Content sections ([slide] elements) are looked up inside the root.
+    static autoInit(root) {
+        const scope = root || document;
+        const elements = Array.from(scope.querySelectorAll('[data-gl]'));
+        if (scope !== document && scope.hasAttribute && scope.hasAttribute('data-gl')) {
+            elements.unshift(scope);
+        }
+
+        return elements
+            .filter(element => !WebflowGLController.instances.has(element))
+            .map(element => {
+                const instance = new WebflowGLController(WebflowGLController.readElementConfig(element));
+                WebflowGLController.instances.set(element, instance);
+                return instance;
+            });
+    }
+
+    // Build a controller config from a [data-gl] element's attributes and children
+    static readElementConfig(root) {
+        const config = {};
+
+        // data-gl-* attributes on the root become options
+        Array.from(root.attributes).forEach(attribute => {
+            const match = attribute.name.match(/^data-gl-(.+)$/);
+            if (!match || ['canvas', 'controller', 'image', 'displacement'].includes(match[1])) {
+                return;
+            }
+            const key = match[1].replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+            config[key] = WebflowGLController.parseAttributeValue(attribute.value);
+        });
+
+        const readUrl = element => element.getAttribute('data-gl-image') ||
+            element.getAttribute('data-gl-displacement') ||
+            element.getAttribute('src') ||
+            element.getAttribute('href') || '';
+
+        const slideElements = Array.from(root.querySelectorAll('[data-gl-image]'));
+        // <video> slides (or data-gl-type="video") become video entries
+        config.imageUrls = slideElements.map(element => {
+            const isVideo = element.tagName === 'VIDEO' || element.getAttribute('data-gl-type') === 'video';
+            const srcset = element.getAttribute('data-gl-srcset') || element.getAttribute('srcset');
+            if (isVideo) {
+                return { src: readUrl(element), type: 'video' };
+            }
+            return srcset ? { src: readUrl(element), srcset } : readUrl(element);
+        });
+        config.displacementImageUrls = Array.from(root.querySelectorAll('[data-gl-displacement]')).map(readUrl);
+        config.alts = slideElements.map(element => element.getAttribute('data-gl-alt') || element.getAttribute('alt') || '');
+
+        // Per-slide displacement maps and effects
+        if (slideElements.some(element => element.hasAttribute('data-gl-map'))) {
+            config.displacementMapping = slideElements.map(element => parseInt(element.getAttribute('data-gl-map'), 10) || 0);
+        }
+        if (slideElements.some(element => element.hasAttribute('data-gl-effect'))) {
+            config.slideEffects = slideElements.map(element => element.getAttribute('data-gl-effect') || null);
+        }
+        if (slideElements.some(element => element.hasAttribute('data-gl-fit'))) {
+            config.fits = slideElements.map(element => element.getAttribute('data-gl-fit') || null);
+        }
+        if (slideElements.some(element => element.hasAttribute('data-gl-focal'))) {
+            config.focalPoints = slideElements.map(element => element.getAttribute('data-gl-focal') || null);
+        }
+
+        config.root = root;
+        config.container = root.querySelector('[data-gl-canvas]') || root;
+        config.controller = root.querySelector('[data-gl-controller]') || root;
+        config.contentScope = config.contentScope || root;
+        return config;
+    }
+
+    static parseAttributeValue(value) {
+        if (value === '' || value === 'true') return true;
+        if (value === 'false') return false;
+        if (value.trim() !== '' && !isNaN(value)) return Number(value);
+        if (/^[[{]/.test(value.trim())) {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                console.warn('Invalid JSON in data-gl attribute:', value);
+            }
+        }
+        return value;
+    }
+
+    // Destroy instances whose element left the page (e.g. after a Webflow page transition),
+    // then boot any new [data-gl] elements
+    static rescan(root) {
+        WebflowGLController.instances.forEach((instance, element) => {
+            if (!element.isConnected) {
+                instance.destroy();
+            }
+        });
+        return WebflowGLController.autoInit(root);
+    }
+
+    static destroyAll() {
+        WebflowGLController.instances.forEach(instance => instance.destroy());
+        WebflowGLController.instances.clear();
     }
 }
 
+// Controllers booted from [data-gl] markup, keyed by their root element
+WebflowGLController.instances = new Map();
+
 // Export for use in other scripts
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = WebflowGLController;
@@ -355,3 +1318,11 @@ if (typeof window !== 'undefined') {
     window.WebflowGLController = WebflowGLController;
 }
 
+// Boot declarative [data-gl] instances once the DOM is ready
+if (typeof document !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => WebflowGLController.autoInit());
+    } else {
+        WebflowGLController.autoInit();
+    }
+}